@@ -0,0 +1,106 @@
+// merge.mjs
+// Last-write-wins merging of the changes a client pushes into an account's records, with conflict reporting.
+
+export const COLLECTIONS = ["plan", "preferences", "savedPlans", "history"];
+// History entries record what happened and never change: the first copy stays.
+const APPEND_ONLY = new Set(["history"]);
+const MAX_KEY_LENGTH = 200;
+
+export class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SyncError";
+  }
+}
+
+export function recordId({ collection, key }) {
+  return `${collection}:${key}`;
+}
+
+// Throws a SyncError naming the first malformed change.
+export function validateChanges(changes) {
+  if (!Array.isArray(changes)) throw new SyncError("changes must be a list");
+  changes.forEach((change, index) => {
+    const where = `Change ${index + 1}`;
+    if (!change || typeof change !== "object") {
+      throw new SyncError(`${where} is not an object`);
+    }
+    if (!COLLECTIONS.includes(change.collection)) {
+      throw new SyncError(`${where} has an unknown collection`);
+    }
+    if (
+      typeof change.key !== "string" ||
+      !change.key ||
+      change.key.length > MAX_KEY_LENGTH
+    ) {
+      throw new SyncError(`${where} has an invalid key`);
+    }
+    if (!Number.isFinite(change.updatedAt)) {
+      throw new SyncError(`${where} has no valid updatedAt`);
+    }
+    if (change.value === undefined) {
+      throw new SyncError(`${where} has no value`);
+    }
+  });
+}
+
+// Applies a client's changes to an account's records ({ revision, items }) in
+// place. `since` is the revision the client last synced to. Returns the new
+// revision, the records the client has not seen yet (never the ones it just
+// wrote) and a conflict for every change that met one it hadn't seen:
+// - kept "server": the stored record is newer, the change is dropped;
+// - kept "client": the change is newer and replaced the unseen record.
+export function mergeChanges(records, changes, since = 0) {
+  const written = new Set();
+  const rejected = new Set();
+  const conflicts = [];
+
+  changes.forEach((change) => {
+    const id = recordId(change);
+    const existing = records.items[id];
+    if (existing && APPEND_ONLY.has(change.collection)) return;
+
+    if (existing && change.updatedAt < existing.updatedAt) {
+      conflicts.push(describeConflict(change, existing, "server"));
+      rejected.add(id);
+      return;
+    }
+    const unseen =
+      existing &&
+      existing.revision > since &&
+      !written.has(id) &&
+      JSON.stringify(existing.value) !== JSON.stringify(change.value);
+    if (unseen) conflicts.push(describeConflict(change, existing, "client"));
+
+    records.revision += 1;
+    records.items[id] = {
+      collection: change.collection,
+      key: change.key,
+      value: change.value,
+      updatedAt: change.updatedAt,
+      revision: records.revision,
+    };
+    written.add(id);
+    rejected.delete(id);
+  });
+
+  const pending = Object.entries(records.items)
+    .filter(
+      ([id, item]) =>
+        rejected.has(id) || (item.revision > since && !written.has(id))
+    )
+    .map(([, item]) => ({ ...item }))
+    .sort((a, b) => a.revision - b.revision);
+
+  return { revision: records.revision, changes: pending, conflicts };
+}
+
+function describeConflict(change, existing, kept) {
+  return {
+    collection: change.collection,
+    key: change.key,
+    kept,
+    clientUpdatedAt: change.updatedAt,
+    serverUpdatedAt: existing.updatedAt,
+  };
+}
@@ -0,0 +1,226 @@
+// rooms.mjs
+// Shared rooms for the relay: the host's timer state goes out to everyone who joined with the room code.
+
+import crypto from "node:crypto";
+
+// No 0/O or 1/I, so codes read out loud survive.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 40;
+const MAX_MEMBERS = 50;
+// A host who drops out (reload, flaky network) can come back within this time.
+const HOST_GRACE_MS = 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+export function createRoomHub({ graceMs = HOST_GRACE_MS } = {}) {
+  const rooms = new Map();
+  const connections = new Set();
+
+  // Connections that missed a whole heartbeat are gone without a goodbye.
+  const heartbeat = setInterval(() => {
+    connections.forEach((connection) => {
+      if (!connection.alive) {
+        connection.terminate();
+        return;
+      }
+      connection.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  function addConnection(connection) {
+    connections.add(connection);
+    // { room, member } once this connection hosts or joined a room.
+    let membership = null;
+
+    connection.on("message", (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        send(connection, { type: "error", message: "Messages must be JSON" });
+        return;
+      }
+      if (!message || typeof message !== "object") return;
+
+      if (message.type === "host" || message.type === "join") {
+        if (membership) {
+          send(connection, { type: "error", message: "Already in a room" });
+          return;
+        }
+        membership =
+          message.type === "host"
+            ? hostRoom(connection, message)
+            : joinRoom(connection, message);
+        return;
+      }
+      if (!membership) return;
+      if (message.type === "state") {
+        shareState(membership, message.state);
+      } else if (message.type === "leave") {
+        depart(membership, { dropped: false });
+        membership = null;
+        connection.close();
+      }
+    });
+
+    connection.on("close", () => {
+      connections.delete(connection);
+      if (membership) depart(membership, { dropped: true });
+      membership = null;
+    });
+  }
+
+  // A code and host key from an earlier connection take the room back;
+  // otherwise a new room opens.
+  function hostRoom(connection, { name, code, hostKey }) {
+    const member = createMember(connection, name, true);
+    let room = null;
+    if (code || hostKey) {
+      room = rooms.get(normalizeCode(code));
+      if (!room || room.host || !safeEqual(room.hostKey, hostKey)) {
+        send(connection, { type: "error", message: "That room is gone" });
+        return null;
+      }
+      clearTimeout(room.closeTimer);
+      room.closeTimer = null;
+    } else {
+      room = {
+        code: createCode(),
+        hostKey: crypto.randomBytes(16).toString("hex"),
+        host: null,
+        members: new Map(),
+        state: null,
+        closeTimer: null,
+      };
+      rooms.set(room.code, room);
+    }
+    room.host = member;
+    room.members.set(member.id, member);
+    send(connection, {
+      type: "welcome",
+      code: room.code,
+      hostKey: room.hostKey,
+      memberId: member.id,
+      host: true,
+    });
+    broadcast(room, { type: "host-back" }, member);
+    broadcastMembers(room);
+    return { room, member };
+  }
+
+  function joinRoom(connection, { name, code }) {
+    const room = rooms.get(normalizeCode(code));
+    if (!room) {
+      send(connection, { type: "error", message: "No room with that code" });
+      return null;
+    }
+    if (room.members.size >= MAX_MEMBERS) {
+      send(connection, { type: "error", message: "That room is full" });
+      return null;
+    }
+    const member = createMember(connection, name, false);
+    room.members.set(member.id, member);
+    send(connection, {
+      type: "welcome",
+      code: room.code,
+      memberId: member.id,
+      host: false,
+      hostAway: !room.host,
+      state: room.state,
+    });
+    broadcastMembers(room);
+    return { room, member };
+  }
+
+  // Only the host speaks for the timer; the latest state waits for late joiners.
+  function shareState({ room, member }, state) {
+    if (room.host !== member || !state || typeof state !== "object") return;
+    room.state = state;
+    broadcast(room, { type: "state", state }, member);
+  }
+
+  function depart({ room, member }, { dropped }) {
+    room.members.delete(member.id);
+    if (room.host !== member) {
+      broadcastMembers(room);
+      return;
+    }
+    room.host = null;
+    if (!dropped) {
+      closeRoom(room, "The host closed the room");
+      return;
+    }
+    broadcast(room, { type: "host-away" });
+    broadcastMembers(room);
+    room.closeTimer = setTimeout(
+      () => closeRoom(room, "The host didn't come back"),
+      graceMs
+    );
+  }
+
+  function closeRoom(room, reason) {
+    clearTimeout(room.closeTimer);
+    rooms.delete(room.code);
+    room.members.forEach(({ connection }) => {
+      send(connection, { type: "closed", reason });
+      connection.close();
+    });
+  }
+
+  function broadcastMembers(room) {
+    const members = [...room.members.values()].map(({ id, name, host }) => ({
+      id,
+      name,
+      host,
+    }));
+    broadcast(room, { type: "members", members });
+  }
+
+  function broadcast(room, message, except = null) {
+    room.members.forEach((member) => {
+      if (member !== except) send(member.connection, message);
+    });
+  }
+
+  function createCode() {
+    let code;
+    do {
+      code = Array.from(
+        crypto.randomBytes(CODE_LENGTH),
+        (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+      ).join("");
+    } while (rooms.has(code));
+    return code;
+  }
+
+  return { addConnection, rooms };
+}
+
+// Every message carries the server's clock, so clients can agree on when a
+// shared end time is.
+function send(connection, message) {
+  connection.send(JSON.stringify({ ...message, serverTime: Date.now() }));
+}
+
+function createMember(connection, name, host) {
+  const cleanName =
+    typeof name === "string" ? name.trim().slice(0, MAX_NAME_LENGTH) : "";
+  return {
+    id: crypto.randomUUID(),
+    name: cleanName || (host ? "Host" : "Guest"),
+    host,
+    connection,
+  };
+}
+
+function normalizeCode(code) {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+function safeEqual(expected, actual) {
+  if (typeof actual !== "string") return false;
+  const left = Buffer.from(expected);
+  const right = Buffer.from(actual);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
@@ -0,0 +1,332 @@
+// server.mjs
+// Self-hostable sync server with no dependencies: accounts, token sign-in, last-write-wins sync of plans, preferences and history, and the shared room relay. Also serves the app.
+//
+//   node server/server.mjs
+//
+// PORT (default 8787) and DATA_FILE (default server/data/store.json) can be
+// set in the environment. Open http://localhost:8787/ and sign in from there.
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { openStore } from "./store.mjs";
+import { SyncError, mergeChanges, validateChanges } from "./merge.mjs";
+import { acceptWebSocket } from "./websocket.mjs";
+import { createRoomHub } from "./rooms.mjs";
+import { createThrottle } from "./throttle.mjs";
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const APP_DIR = path.resolve(SERVER_DIR, "..");
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE =
+  process.env.DATA_FILE || path.join(SERVER_DIR, "data", "store.json");
+
+// A first sync uploads the whole history at once.
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+// A device that hasn't signed in again by then has to.
+const TOKEN_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+// Failed sign-ins allowed per window, for one email and for one client
+// address trying many emails.
+const SIGN_IN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_EMAIL = 5;
+const MAX_FAILURES_PER_ADDRESS = 20;
+// Checked against when the email is unknown, so that answer costs the same
+// scrypt run as a wrong password and doesn't give away which emails exist.
+const UNKNOWN_ACCOUNT = {
+  salt: crypto.randomBytes(16).toString("hex"),
+  passwordHash: "",
+};
+// Only the app itself is served, never the server's own files or its data.
+const STATIC_ROOTS = [
+  "index.html",
+  "manifest.webmanifest",
+  "sw.js",
+  "src",
+  "sounds",
+  "icons",
+];
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+const store = await openStore(DATA_FILE);
+const emailFailures = createThrottle({
+  limit: MAX_FAILURES_PER_EMAIL,
+  windowMs: SIGN_IN_WINDOW_MS,
+});
+const addressFailures = createThrottle({
+  limit: MAX_FAILURES_PER_ADDRESS,
+  windowMs: SIGN_IN_WINDOW_MS,
+});
+
+const routes = {
+  "POST /api/accounts": createAccount,
+  "POST /api/sessions": signIn,
+  "DELETE /api/sessions": signOut,
+  "GET /api/account": describeAccount,
+  "POST /api/sync": sync,
+};
+
+const server = http.createServer(async (request, response) => {
+  // The app may be served from elsewhere and point at this server.
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type"
+  );
+  response.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE");
+
+  try {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204).end();
+      return;
+    }
+    const route = routes[`${request.method} ${pathname}`];
+    if (route) {
+      const { status = 200, body } = await route(request);
+      sendJson(response, status, body);
+      return;
+    }
+    if (pathname.startsWith("/api/")) throw new HttpError(404, "Not found");
+    await serveStatic(request, response, pathname);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    const status = error instanceof HttpError ? error.status : 500;
+    const message =
+      error instanceof HttpError ? error.message : "Internal server error";
+    if (!response.headersSent) sendJson(response, status, { error: message });
+  }
+});
+
+// Shared rooms talk over a WebSocket at /rooms.
+const roomHub = createRoomHub();
+server.on("upgrade", (request, socket) => {
+  const { pathname } = new URL(request.url, "http://localhost");
+  if (pathname !== "/rooms") {
+    socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  const connection = acceptWebSocket(request, socket);
+  if (connection) roomHub.addConnection(connection);
+});
+
+server.listen(PORT, () => {
+  console.log(`Pomodoro sync server on http://localhost:${PORT}/`);
+});
+
+/* ---------- routes ---------- */
+
+async function createAccount(request) {
+  const { email, password } = readCredentials(await readJson(request));
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(
+      400,
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (store.findAccountByEmail(email)) {
+    throw new HttpError(409, "An account with this email already exists");
+  }
+  const salt = crypto.randomBytes(16).toString("hex");
+  const account = await store.createAccount({
+    id: crypto.randomUUID(),
+    email,
+    salt,
+    passwordHash: await hashPassword(password, salt),
+    createdAt: Date.now(),
+  });
+  return { status: 201, body: await issueToken(account) };
+}
+
+async function signIn(request) {
+  const { email, password } = readCredentials(await readJson(request));
+  const address = request.socket.remoteAddress || "";
+  const wait = Math.max(
+    emailFailures.blockedFor(email),
+    addressFailures.blockedFor(address)
+  );
+  if (wait > 0) {
+    const minutes = Math.ceil(wait / 60000);
+    throw new HttpError(
+      429,
+      `Too many sign-in attempts. Try again in ${minutes} min`
+    );
+  }
+
+  const account = store.findAccountByEmail(email);
+  // Same answer for an unknown email and a wrong password.
+  const { salt, passwordHash } = account || UNKNOWN_ACCOUNT;
+  const matches =
+    safeEqual(await hashPassword(password, salt), passwordHash) &&
+    Boolean(account);
+  if (!matches) {
+    emailFailures.fail(email);
+    addressFailures.fail(address);
+    throw new HttpError(401, "Wrong email or password");
+  }
+  emailFailures.clear(email);
+  return { body: await issueToken(account) };
+}
+
+async function signOut(request) {
+  const { tokenHash } = authenticate(request);
+  await store.removeToken(tokenHash);
+  return { status: 204 };
+}
+
+async function describeAccount(request) {
+  const { account } = authenticate(request);
+  return { body: { account: publicAccount(account) } };
+}
+
+async function sync(request) {
+  const { account } = authenticate(request);
+  const { since = 0, changes = [] } = await readJson(request);
+  try {
+    validateChanges(changes);
+  } catch (error) {
+    if (error instanceof SyncError) throw new HttpError(400, error.message);
+    throw error;
+  }
+  const records = store.getRecords(account.id);
+  // A client ahead of the server (restored from an older data file) starts over.
+  const cursor =
+    Number.isInteger(since) && since <= records.revision ? since : 0;
+  const result = mergeChanges(records, changes, cursor);
+  await store.save();
+  return { body: result };
+}
+
+/* ---------- helpers ---------- */
+
+function readCredentials(body) {
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const password = typeof body.password === "string" ? body.password : "";
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw new HttpError(400, "Enter a valid email address");
+  }
+  if (!password) throw new HttpError(400, "Enter a password");
+  return { email: email.toLowerCase(), password };
+}
+
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => {
+      if (error) reject(error);
+      else resolve(key.toString("hex"));
+    });
+  });
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Only a hash of each token is stored, so a leaked data file signs no one in.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function issueToken(account) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await store.addToken(
+    hashToken(token),
+    account.id,
+    Date.now() + TOKEN_LIFETIME_MS
+  );
+  return { token, account: publicAccount(account) };
+}
+
+function authenticate(request) {
+  const header = request.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const tokenHash = token ? hashToken(token) : "";
+  const entry = tokenHash && store.findToken(tokenHash);
+  const live = entry && entry.expiresAt > Date.now();
+  const account = live && store.getAccount(entry.accountId);
+  if (!account) throw new HttpError(401, "Sign in again");
+  return { account, tokenHash };
+}
+
+function publicAccount(account) {
+  return { id: account.id, email: account.email };
+}
+
+async function readJson(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request too large");
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    return body && typeof body === "object" ? body : {};
+  } catch (error) {
+    throw new HttpError(400, "Request body is not valid JSON");
+  }
+}
+
+function sendJson(response, status, body) {
+  if (body === undefined) {
+    response.writeHead(status).end();
+    return;
+  }
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+async function serveStatic(request, response, pathname) {
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    throw new HttpError(405, "Method not allowed");
+  }
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, "");
+  } catch (error) {
+    // A stray % that isn't an escape.
+    throw new HttpError(400, "Malformed path");
+  }
+  const file = path.resolve(APP_DIR, relative || "index.html");
+  const [root] = path.relative(APP_DIR, file).split(path.sep);
+  if (!STATIC_ROOTS.includes(root)) throw new HttpError(404, "Not found");
+
+  let contents;
+  try {
+    contents = await fs.readFile(file);
+  } catch (error) {
+    throw new HttpError(404, "Not found");
+  }
+  response.writeHead(200, {
+    "Content-Type":
+      CONTENT_TYPES[path.extname(file)] || "application/octet-stream",
+    // The service worker decides what is fresh; don't let HTTP caching
+    // hide a new sw.js from it.
+    "Cache-Control": "no-cache",
+  });
+  response.end(request.method === "HEAD" ? undefined : contents);
+}
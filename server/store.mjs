@@ -0,0 +1,104 @@
+// store.mjs
+// File storage for the sync server: accounts, sign-in tokens and synced records, kept in memory and saved to one JSON file.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+function emptyData() {
+  return { accounts: {}, tokens: {}, records: {} };
+}
+
+export async function openStore(file) {
+  const data = await loadData(file);
+  pruneTokens(data);
+  // Writes are chained so two saves never interleave; a save requested while
+  // one is queued is already covered by it. A failed write rejects only the
+  // saves waiting on it, and the next save tries again.
+  let writing = Promise.resolve();
+  let queued = false;
+
+  const save = () => {
+    if (queued) return writing;
+    queued = true;
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        queued = false;
+        await writeAtomically(file, JSON.stringify(data));
+      });
+    return writing;
+  };
+
+  return {
+    findAccountByEmail(email) {
+      return (
+        Object.values(data.accounts).find(
+          (account) => account.email === email
+        ) || null
+      );
+    },
+
+    getAccount(id) {
+      return data.accounts[id] || null;
+    },
+
+    async createAccount(account) {
+      data.accounts[account.id] = account;
+      data.records[account.id] = { revision: 0, items: {} };
+      await save();
+      return account;
+    },
+
+    // Expired tokens are dropped whenever a new one is issued, so tokens a
+    // device never signed out of don't pile up.
+    async addToken(tokenHash, accountId, expiresAt) {
+      pruneTokens(data);
+      data.tokens[tokenHash] = { accountId, createdAt: Date.now(), expiresAt };
+      await save();
+    },
+
+    findToken(tokenHash) {
+      return data.tokens[tokenHash] || null;
+    },
+
+    async removeToken(tokenHash) {
+      delete data.tokens[tokenHash];
+      await save();
+    },
+
+    // The live record set of an account; callers change it and then save.
+    getRecords(accountId) {
+      if (!data.records[accountId]) {
+        data.records[accountId] = { revision: 0, items: {} };
+      }
+      return data.records[accountId];
+    },
+
+    save,
+  };
+}
+
+// Expired tokens, and those an older server stored without an expiry.
+function pruneTokens(data) {
+  const now = Date.now();
+  Object.entries(data.tokens).forEach(([tokenHash, entry]) => {
+    if (!(entry.expiresAt > now)) delete data.tokens[tokenHash];
+  });
+}
+
+async function loadData(file) {
+  try {
+    return { ...emptyData(), ...JSON.parse(await fs.readFile(file, "utf8")) };
+  } catch (error) {
+    if (error.code === "ENOENT") return emptyData();
+    throw error;
+  }
+}
+
+// A crash halfway through leaves the previous file intact.
+async function writeAtomically(file, contents) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, contents);
+  await fs.rename(temporary, file);
+}
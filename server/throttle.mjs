@@ -0,0 +1,48 @@
+// throttle.mjs
+// Counts failed attempts per key (an email, a client address) and blocks a key that failed too often until its window runs out.
+
+export function createThrottle({ limit, windowMs }) {
+  // key -> { count, resetAt }
+  const failures = new Map();
+
+  // Old windows are swept now and then so unused keys don't pile up.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    failures.forEach((entry, key) => {
+      if (entry.resetAt <= now) failures.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  function current(key) {
+    const entry = failures.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      failures.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Milliseconds until the key may try again, 0 when it may now.
+  function blockedFor(key) {
+    const entry = current(key);
+    return entry && entry.count >= limit ? entry.resetAt - Date.now() : 0;
+  }
+
+  // The window starts with the first failure, so steady guessing is capped
+  // at `limit` tries per window.
+  function fail(key) {
+    const entry = current(key) || {
+      count: 0,
+      resetAt: Date.now() + windowMs,
+    };
+    entry.count += 1;
+    failures.set(key, entry);
+  }
+
+  function clear(key) {
+    failures.delete(key);
+  }
+
+  return { blockedFor, fail, clear };
+}
@@ -0,0 +1,199 @@
+// websocket.mjs
+// The server side of WebSocket (RFC 6455) as far as the room relay needs it: handshake, text messages, ping/pong and close.
+
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Room messages are small timer states; anything bigger is a mistake.
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+// Answers an upgrade request. Returns the connection, or null after turning
+// away a request that isn't a WebSocket handshake.
+export function acceptWebSocket(request, socket) {
+  const key = request.headers["sec-websocket-key"];
+  const upgrade = (request.headers.upgrade || "").toLowerCase();
+  if (upgrade !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + HANDSHAKE_GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n")
+  );
+  return new WebSocketConnection(socket);
+}
+
+// Emits "message" with each text message and "close" once, however the
+// connection ended.
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.closed = false;
+    // Cleared before each heartbeat ping, set again by the pong.
+    this.alive = true;
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.finish());
+    socket.on("error", () => this.finish());
+  }
+
+  send(text) {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  }
+
+  ping() {
+    if (this.closed) return;
+    this.alive = false;
+    this.socket.write(encodeFrame(OPCODES.ping, Buffer.alloc(0)));
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.finish();
+  }
+
+  terminate() {
+    this.socket.destroy();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit("close");
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (!this.closed) {
+      const frame = decodeFrame(this.buffer);
+      if (!frame) return;
+      if (frame.tooBig) {
+        this.close(1009, "Message too big");
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.size);
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame({ fin, opcode, masked, payload }) {
+    // Browsers always mask; an unmasked frame is not from one.
+    if (!masked) {
+      this.close(1002, "Frames must be masked");
+      return;
+    }
+    if (opcode === OPCODES.ping) {
+      this.socket.write(encodeFrame(OPCODES.pong, payload));
+      return;
+    }
+    if (opcode === OPCODES.pong) {
+      this.alive = true;
+      return;
+    }
+    if (opcode === OPCODES.close) {
+      this.close();
+      return;
+    }
+    if (
+      opcode !== OPCODES.text &&
+      opcode !== OPCODES.binary &&
+      opcode !== OPCODES.continuation
+    ) {
+      this.close(1002, "Unknown opcode");
+      return;
+    }
+
+    this.fragments.push(payload);
+    this.fragmentBytes += payload.length;
+    if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+      this.close(1009, "Message too big");
+      return;
+    }
+    if (!fin) return;
+    const message = Buffer.concat(this.fragments).toString("utf8");
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.emit("message", message);
+  }
+}
+
+// Returns null until a whole frame has arrived.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) return { tooBig: true };
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let index = 0; index < payload.length; index += 1) {
+      payload[index] ^= buffer[maskOffset + (index % 4)];
+    }
+  }
+  return { fin, opcode, masked, payload, size: offset + length };
+}
+
+// Server frames are never masked or fragmented.
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
@@ -0,0 +1,161 @@
+// account.js
+// The Sign In button and account dialog: sign in to a sync server or create an account, then follow sync status and conflicts.
+
+import {
+  getCloudStatus,
+  onCloudEvent,
+  signIn,
+  signOut,
+  syncNow,
+} from "./cloud.js";
+import { showToast } from "./toast.js";
+
+const COLLECTION_LABELS = {
+  plan: "Current plan",
+  preferences: "Settings",
+  savedPlans: "Saved plans",
+  history: "History",
+};
+
+let nodes = null;
+
+export function initAccountPanel() {
+  nodes = {
+    button: document.getElementById("sign-in"),
+    overlay: document.getElementById("account-overlay"),
+    close: document.getElementById("account-close"),
+    form: document.getElementById("account-form"),
+    server: document.getElementById("account-server"),
+    email: document.getElementById("account-email"),
+    password: document.getElementById("account-password"),
+    details: document.getElementById("account-details"),
+    name: document.getElementById("account-name"),
+    status: document.getElementById("account-status"),
+    conflicts: document.getElementById("account-conflicts"),
+    sync: document.getElementById("account-sync"),
+    signOut: document.getElementById("account-sign-out"),
+    message: document.getElementById("account-message"),
+  };
+
+  nodes.button.addEventListener("click", () => openAccountDialog());
+  nodes.close.addEventListener("click", () => closeAccountDialog());
+  nodes.overlay.addEventListener("click", (event) => {
+    if (event.target === nodes.overlay) closeAccountDialog();
+  });
+  nodes.overlay.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") closeAccountDialog();
+  });
+
+  nodes.form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const create = event.submitter?.value === "create";
+    setMessage(create ? "Creating account…" : "Signing in…");
+    try {
+      const account = await signIn({
+        server: nodes.server.value,
+        email: nodes.email.value,
+        password: nodes.password.value,
+        create,
+      });
+      nodes.password.value = "";
+      setMessage("");
+      showToast(`Signed in as ${account.email}`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  });
+
+  nodes.sync.addEventListener("click", () => syncNow());
+  nodes.signOut.addEventListener("click", async () => {
+    await signOut();
+    showToast("Signed out — this device keeps its data");
+  });
+
+  onCloudEvent("cloud:status", () => render());
+  onCloudEvent("cloud:conflict", (event) => {
+    const [conflict] = event.detail.conflicts;
+    const label = COLLECTION_LABELS[conflict.collection];
+    showToast(
+      event.detail.conflicts.length === 1
+        ? `${label} was also changed elsewhere — ${describeKept(conflict)}`
+        : `${event.detail.conflicts.length} sync conflicts — newest kept`
+    );
+  });
+  render();
+}
+
+export function openAccountDialog() {
+  setMessage("");
+  render();
+  nodes.overlay.hidden = false;
+  const signedIn = Boolean(getCloudStatus().account);
+  (signedIn ? nodes.sync : nodes.email).focus();
+}
+
+export function closeAccountDialog() {
+  nodes.overlay.hidden = true;
+}
+
+function render() {
+  if (!nodes) return;
+  const cloud = getCloudStatus();
+  const signedIn = Boolean(cloud.account);
+
+  nodes.button.textContent = signedIn ? cloud.account.email : "Sign In";
+  nodes.button.title = signedIn ? describeStatus(cloud) : "Sync across devices";
+  nodes.button.classList.toggle("signed-in", signedIn);
+  nodes.button.classList.toggle(
+    "offline",
+    cloud.status === "offline" || cloud.status === "error"
+  );
+
+  nodes.form.hidden = signedIn;
+  nodes.details.hidden = !signedIn;
+  if (document.activeElement !== nodes.server) {
+    nodes.server.value = cloud.server;
+  }
+  // A rejected token signs out with the reason shown on the form.
+  if (!signedIn && cloud.message) setMessage(cloud.message);
+  if (!signedIn) return;
+
+  nodes.name.textContent = `${cloud.account.email} on ${cloud.server}`;
+  nodes.status.textContent = describeStatus(cloud);
+  nodes.sync.disabled = cloud.status === "syncing";
+  nodes.conflicts.hidden = cloud.conflicts.length === 0;
+  nodes.conflicts.replaceChildren(
+    ...cloud.conflicts.map((conflict) => {
+      const item = document.createElement("li");
+      item.textContent = `${formatTime(conflict.at)} · ${
+        COLLECTION_LABELS[conflict.collection]
+      }: ${describeKept(conflict)}`;
+      return item;
+    })
+  );
+}
+
+function describeStatus({ status, message, pending, lastSyncedAt }) {
+  const waiting = pending ? ` · ${pending} waiting` : "";
+  if (status === "syncing") return "Syncing…";
+  if (status === "offline") return `Offline, will retry${waiting}`;
+  if (status === "error") return `${message}${waiting}`;
+  return lastSyncedAt
+    ? `Synced ${formatTime(lastSyncedAt)}${waiting}`
+    : `Not synced yet${waiting}`;
+}
+
+function describeKept(conflict) {
+  return conflict.kept === "server"
+    ? "kept the newer version from the server"
+    : "kept this device's newer version";
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function setMessage(text) {
+  nodes.message.textContent = text;
+}
@@ -0,0 +1,174 @@
+// alerts.js
+// Plays the timer's countdown and reminder alerts, reads reminders aloud, and owns the Alerts settings section.
+
+import { getPreferences, updatePreferences, onStateEvent } from "./state.js";
+import { getAlertSettings, onTimerEvent } from "./timer.js";
+import { playReminderSound, scheduleCountdown } from "./sound.js";
+import { SEGMENT_TYPES } from "./sequence.js";
+import { showToast } from "./toast.js";
+
+const PHASE_LABELS = {
+  focus: "Focus",
+  relax: "Break",
+  longRelax: "Long break",
+};
+
+export const ALERT_LIMITS = {
+  countdownSeconds: { min: 0, max: 10 },
+  minutesLeft: { min: 1, max: 180 },
+};
+
+// The timer decides when an alert is due; this module only makes it heard.
+onTimerEvent("timer:alert", (event) => handleAlert(event.detail));
+
+function handleAlert(alert) {
+  if (alert.type === "countdown") {
+    scheduleCountdown(alert.endsAt, alert.seconds);
+    return;
+  }
+
+  const text = describeAlert(alert);
+  playReminderSound();
+  showToast(text);
+  if (alert.speak) speak(text);
+}
+
+// "5 minutes of focus left" / "Halfway through focus".
+export function describeAlert(alert) {
+  const phase = alert.label.toLowerCase();
+  if (alert.type === "halfway") return `Halfway through ${phase}`;
+  const unit = alert.minutes === 1 ? "minute" : "minutes";
+  return `${alert.minutes} ${unit} of ${phase} left`;
+}
+
+// Spoken announcements follow the main sound switch.
+function speak(text) {
+  if (!getPreferences().sound) return;
+  if (typeof window === "undefined" || !("speechSynthesis" in window)) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+// Accepts "5, 1" or "10 5 1"; keeps distinct whole minutes within limits,
+// largest first.
+export function parseMinutesList(value) {
+  const { min, max } = ALERT_LIMITS.minutesLeft;
+  const minutes = String(value)
+    .split(/[\s,;]+/)
+    .map((part) => Number(part))
+    .filter((number) => Number.isInteger(number) && number >= min)
+    .filter((number) => number <= max);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+export function initAlertsPanel() {
+  const list = document.getElementById("alert-list");
+  list.replaceChildren(...SEGMENT_TYPES.map((type) => createAlertRow(type)));
+
+  const syncControls = () => {
+    const settings = getAlertSettings();
+    list.querySelectorAll(".alert-row").forEach((row) => {
+      const phase = settings[row.dataset.phase];
+      row.querySelectorAll("[data-alert-field]").forEach((input) => {
+        const field = input.dataset.alertField;
+        if (input.type === "checkbox") {
+          input.checked = phase[field];
+        } else if (document.activeElement !== input) {
+          input.value =
+            field === "minutesLeft" ? phase[field].join(", ") : phase[field];
+        }
+      });
+    });
+  };
+
+  list.addEventListener("change", (event) => {
+    const input = event.target.closest("[data-alert-field]");
+    if (!input) return;
+    const { phase } = input.closest(".alert-row").dataset;
+    const field = input.dataset.alertField;
+    updateAlert(phase, { [field]: readField(input, field) });
+    syncControls();
+  });
+
+  onStateEvent("preferences:change", () => syncControls());
+  syncControls();
+}
+
+function readField(input, field) {
+  if (input.type === "checkbox") return input.checked;
+  if (field === "minutesLeft") return parseMinutesList(input.value);
+  const { min, max } = ALERT_LIMITS[field];
+  const number = Math.round(Number(input.value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+}
+
+function updateAlert(phase, changes) {
+  const settings = getAlertSettings();
+  updatePreferences({
+    alerts: { ...settings, [phase]: { ...settings[phase], ...changes } },
+  });
+}
+
+function createAlertRow(phase) {
+  const label = PHASE_LABELS[phase];
+  const row = document.createElement("li");
+  row.className = "alert-row";
+  row.dataset.phase = phase;
+
+  const title = document.createElement("p");
+  title.className = "alert-title";
+  title.textContent = label;
+
+  const countdown = createInput("countdownSeconds", "number");
+  countdown.inputMode = "numeric";
+  countdown.min = ALERT_LIMITS.countdownSeconds.min.toString();
+  countdown.max = ALERT_LIMITS.countdownSeconds.max.toString();
+  countdown.setAttribute("aria-label", `${label} countdown seconds`);
+
+  const minutes = createInput("minutesLeft", "text");
+  minutes.placeholder = "e.g. 5, 1";
+  minutes.setAttribute("aria-label", `${label} minutes-left reminders`);
+
+  row.append(
+    title,
+    createField("Countdown (s)", countdown),
+    createField("Minutes left", minutes),
+    createSwitch("halfway", "Halfway", label),
+    createSwitch("speak", "Speak", label)
+  );
+  return row;
+}
+
+function createInput(field, type) {
+  const input = document.createElement("input");
+  input.className = "select-input";
+  input.type = type;
+  input.dataset.alertField = field;
+  return input;
+}
+
+function createField(text, input) {
+  const field = document.createElement("label");
+  field.className = "field-row";
+  const caption = document.createElement("span");
+  caption.className = "field-label";
+  caption.textContent = text;
+  field.append(caption, input);
+  return field;
+}
+
+function createSwitch(field, text, phaseLabel) {
+  const toggle = document.createElement("label");
+  toggle.className = "switch";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.dataset.alertField = field;
+  checkbox.setAttribute("aria-label", `${phaseLabel}: ${text}`);
+  const slider = document.createElement("span");
+  slider.className = "slider";
+  const caption = document.createElement("span");
+  caption.className = "switch-label";
+  caption.textContent = text;
+  toggle.append(checkbox, slider, caption);
+  return toggle;
+}
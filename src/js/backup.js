@@ -0,0 +1,448 @@
+// backup.js
+// JSON backup of settings, plans and history, CSV export of phases, and validated import.
+
+import {
+  getPlanSettings,
+  updatePlanSettings,
+  getPreferences,
+  updatePreferences,
+  getTheme,
+  setTheme,
+  getSavedPlans,
+  importSavedPlans,
+  validatePlan,
+  validatePreferences,
+  SettingsError,
+  THEMES,
+} from "./state.js";
+import { applyPlanSettings, INTERRUPTION_KINDS } from "./timer.js";
+import {
+  getHistoryEntries,
+  importHistoryEntries,
+  clearHistory,
+} from "./history.js";
+import { showToast } from "./toast.js";
+import { SEGMENT_TYPES } from "./sequence.js";
+
+const BACKUP_FORMAT = "pomodoro-backup";
+const BACKUP_VERSION = 1;
+const PHASES = SEGMENT_TYPES;
+const OUTCOMES = ["completed", "reset", "skipped"];
+const CSV_COLUMNS = [
+  "phase",
+  "outcome",
+  "started_at",
+  "ended_at",
+  "planned_seconds",
+  "actual_seconds",
+  "paused_seconds",
+];
+
+export function initBackupPanel() {
+  const exportJsonButton = document.getElementById("export-json");
+  const exportCsvButton = document.getElementById("export-csv");
+  const importInput = document.getElementById("import-file");
+  const importMode = document.getElementById("import-mode");
+  const report = document.getElementById("import-report");
+
+  exportJsonButton.addEventListener("click", async () => {
+    let backup;
+    try {
+      backup = await createBackup();
+    } catch (error) {
+      showToast("Export failed");
+      return;
+    }
+    downloadFile(
+      `pomodoro-backup-${fileDate()}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  });
+
+  exportCsvButton.addEventListener("click", async () => {
+    let entries;
+    try {
+      entries = await getHistoryEntries();
+    } catch (error) {
+      showToast("Export failed");
+      return;
+    }
+    downloadFile(
+      `pomodoro-history-${fileDate()}.csv`,
+      historyToCsv(entries),
+      "text/csv"
+    );
+  });
+
+  importInput.addEventListener("change", async () => {
+    const [file] = importInput.files;
+    importInput.value = "";
+    if (!file) return;
+
+    const mode = importMode.value;
+    try {
+      const data = parseBackupFile(await file.text(), file.name);
+      if (
+        mode === "replace" &&
+        !window.confirm("Replace your current data with this file?")
+      ) {
+        return;
+      }
+      const result = await importBackup(data, { mode });
+      renderReport(report, result.summary, result.conflicts);
+      showToast("Import finished");
+    } catch (error) {
+      renderReport(report, "Import failed", error.details || [error.message]);
+      showToast("Import failed");
+    }
+  });
+}
+
+function renderReport(node, title, lines) {
+  const heading = document.createElement("p");
+  heading.className = "import-report-title";
+  heading.textContent = title;
+  const list = document.createElement("ul");
+  lines.forEach((line) => {
+    const item = document.createElement("li");
+    item.textContent = line;
+    list.append(item);
+  });
+  node.replaceChildren(heading, ...(lines.length ? [list] : []));
+  node.hidden = false;
+}
+
+export async function createBackup() {
+  const entries = await getHistoryEntries();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    plan: getPlanSettings(),
+    preferences: getPreferences(),
+    theme: getTheme(),
+    savedPlans: getSavedPlans(),
+    history: entries.map(({ id, ...entry }) => entry),
+  };
+}
+
+export function historyToCsv(entries) {
+  const rows = entries.map((entry) =>
+    [
+      entry.phase,
+      entry.outcome,
+      new Date(entry.startedAt).toISOString(),
+      new Date(entry.endedAt).toISOString(),
+      entry.plannedSeconds,
+      entry.actualSeconds,
+      entry.pausedSeconds,
+    ].join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/* ---------- parsing & validation ---------- */
+
+class ImportError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "ImportError";
+    this.details = details;
+  }
+}
+
+export function parseBackupFile(text, fileName = "") {
+  const trimmed = text.trim();
+  if (fileName.endsWith(".csv") || trimmed.startsWith(CSV_COLUMNS[0])) {
+    return { history: parseHistoryCsv(trimmed) };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    throw new ImportError("File is neither valid JSON nor history CSV");
+  }
+  return validateBackup(parsed);
+}
+
+function parseHistoryCsv(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(Boolean);
+  if (header.trim() !== CSV_COLUMNS.join(",")) {
+    throw new ImportError("Unexpected CSV header", [
+      `Expected: ${CSV_COLUMNS.join(",")}`,
+    ]);
+  }
+
+  const history = lines.map((line) => {
+    const [phase, outcome, startedAt, endedAt, planned, actual, paused] =
+      line.split(",");
+    return {
+      phase,
+      outcome,
+      startedAt: Date.parse(startedAt),
+      endedAt: Date.parse(endedAt),
+      plannedSeconds: Number(planned),
+      actualSeconds: Number(actual),
+      pausedSeconds: Number(paused),
+    };
+  });
+
+  const errors = collectHistoryErrors(history);
+  if (errors.length) throw new ImportError("Invalid CSV rows", errors);
+  return history;
+}
+
+// Every section is optional so partial backups still import, but whatever is
+// present has to match the shape the app writes.
+function validateBackup(data) {
+  const errors = [];
+  if (!isObject(data) || data.format !== BACKUP_FORMAT) {
+    throw new ImportError("Not a Pomodoro backup file");
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new ImportError(`Backup version ${data.version} is not supported`);
+  }
+
+  if ("plan" in data) errors.push(...collectPlanErrors(data.plan, "plan"));
+  if ("preferences" in data) {
+    errors.push(
+      ...collectSettingsErrors(
+        validatePreferences,
+        data.preferences,
+        "preferences"
+      )
+    );
+  }
+  if ("theme" in data && !THEMES.includes(data.theme)) {
+    errors.push(`theme must be one of ${THEMES.join(", ")}`);
+  }
+  if ("savedPlans" in data) {
+    if (!Array.isArray(data.savedPlans)) {
+      errors.push("savedPlans must be a list");
+    } else {
+      data.savedPlans.forEach((entry, index) => {
+        const path = `savedPlans[${index}]`;
+        if (!isObject(entry) || typeof entry.id !== "string") {
+          errors.push(`${path} needs a string id`);
+          return;
+        }
+        if (typeof entry.name !== "string") {
+          errors.push(`${path}.name must be text`);
+        }
+        errors.push(...collectPlanErrors(entry.plan, `${path}.plan`));
+        if (entry.preferences != null) {
+          errors.push(
+            ...collectSettingsErrors(
+              validatePreferences,
+              entry.preferences,
+              `${path}.preferences`
+            )
+          );
+        }
+      });
+    }
+  }
+  if ("history" in data) {
+    if (!Array.isArray(data.history)) {
+      errors.push("history must be a list");
+    } else {
+      errors.push(...collectHistoryErrors(data.history));
+    }
+  }
+
+  if (errors.length) throw new ImportError("Backup failed validation", errors);
+  return {
+    plan: data.plan,
+    preferences: data.preferences,
+    theme: data.theme,
+    savedPlans: data.savedPlans,
+    history: data.history,
+  };
+}
+
+function collectPlanErrors(plan, path) {
+  if (!isObject(plan)) return [`${path} must be an object`];
+  const missing = ["focusMinutes", "relaxMinutes", "cycles"]
+    .filter((field) => !(field in plan))
+    .map((field) => `${path}.${field} is missing`);
+  return missing.length
+    ? missing
+    : collectSettingsErrors(validatePlan, plan, path);
+}
+
+// The state schema decides what a valid value is; this only says where.
+function collectSettingsErrors(validate, values, path) {
+  if (!isObject(values)) return [`${path} must be an object`];
+  try {
+    validate(values);
+    return [];
+  } catch (error) {
+    if (!(error instanceof SettingsError)) throw error;
+    return [`${path}.${error.message}`];
+  }
+}
+
+function collectHistoryErrors(history) {
+  const errors = [];
+  history.forEach((entry, index) => {
+    const path = `history[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!PHASES.includes(entry.phase)) errors.push(`${path}.phase is unknown`);
+    if (!OUTCOMES.includes(entry.outcome)) {
+      errors.push(`${path}.outcome is unknown`);
+    }
+    ["startedAt", "endedAt"].forEach((field) => {
+      if (!Number.isFinite(entry[field])) {
+        errors.push(`${path}.${field} must be a timestamp`);
+      }
+    });
+    ["plannedSeconds", "actualSeconds", "pausedSeconds"].forEach((field) => {
+      if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+        errors.push(`${path}.${field} must be a non-negative number`);
+      }
+    });
+    // Older backups have none; a pause nobody explained has no kind.
+    if (entry.interruptions !== undefined) {
+      if (!Array.isArray(entry.interruptions)) {
+        errors.push(`${path}.interruptions must be a list`);
+      } else {
+        entry.interruptions.forEach((interruption, index) => {
+          const itemPath = `${path}.interruptions[${index}]`;
+          if (!isObject(interruption) || !Number.isFinite(interruption.at)) {
+            errors.push(`${itemPath}.at must be a timestamp`);
+          } else if (
+            interruption.kind !== null &&
+            !INTERRUPTION_KINDS.includes(interruption.kind)
+          ) {
+            errors.push(`${itemPath}.kind is unknown`);
+          }
+        });
+      }
+    }
+  });
+  return errors.slice(0, 20);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/* ---------- applying ---------- */
+
+// "replace" overwrites everything present in the file. "merge" keeps the
+// current settings, adds plans and history that are not here yet, and lists
+// every difference it left alone as a conflict.
+export async function importBackup(data, { mode = "merge" } = {}) {
+  const conflicts = [];
+  const replace = mode === "replace";
+  let addedPlans = 0;
+  let addedHistory = 0;
+
+  if (data.plan) {
+    if (replace) {
+      updatePlanSettings({ segments: null, ...data.plan });
+      applyPlanSettings();
+    } else if (!sameValues(data.plan, getPlanSettings())) {
+      conflicts.push("Plan differs from the current one — kept current");
+    }
+  }
+
+  if (data.preferences) {
+    if (replace) {
+      updatePreferences(data.preferences);
+    } else if (!sameValues(data.preferences, getPreferences())) {
+      conflicts.push("Preferences differ — kept current");
+    }
+  }
+
+  if (data.theme) {
+    if (replace) {
+      setTheme(data.theme);
+    } else if (data.theme !== getTheme()) {
+      conflicts.push(`Theme “${data.theme}” differs — kept current`);
+    }
+  }
+
+  if (data.savedPlans) {
+    const current = new Map(getSavedPlans().map((item) => [item.id, item]));
+    data.savedPlans.forEach((entry) => {
+      const existing = current.get(entry.id);
+      if (!existing) {
+        addedPlans += 1;
+      } else if (!replace && !sameValues(existing, entry)) {
+        conflicts.push(`Saved plan “${existing.name}” differs — kept current`);
+      }
+    });
+    const normalized = data.savedPlans.map((entry) => ({
+      ...entry,
+      preferences: entry.preferences || {},
+    }));
+    importSavedPlans(normalized, { replace });
+    if (replace) addedPlans = normalized.length;
+  }
+
+  if (data.history) {
+    let incoming = data.history;
+    if (replace) {
+      await clearHistory();
+    } else {
+      const known = new Set(
+        (await getHistoryEntries()).map(
+          (entry) => `${entry.phase}@${entry.startedAt}`
+        )
+      );
+      incoming = incoming.filter(
+        (entry) => !known.has(`${entry.phase}@${entry.startedAt}`)
+      );
+      const duplicates = data.history.length - incoming.length;
+      if (duplicates > 0) {
+        conflicts.push(
+          `${duplicates} history entries already existed — skipped`
+        );
+      }
+    }
+    if (incoming.length) await importHistoryEntries(incoming);
+    addedHistory = incoming.length;
+  }
+
+  return {
+    summary: `${replace ? "Replaced" : "Merged"}: ${addedPlans} plans, ${addedHistory} history entries`,
+    conflicts,
+  };
+}
+
+function sameValues(left, right) {
+  return JSON.stringify(sortKeys(left)) === JSON.stringify(sortKeys(right));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, sortKeys(value[key])])
+  );
+}
+
+/* ---------- files ---------- */
+
+function downloadFile(fileName, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function fileDate() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,460 @@
+// cloud.js
+// Sync account session and offline-first sync of plans, preferences and history with the sync server in server/.
+
+import {
+  adoptSyncedState,
+  getPlanSettings,
+  getPreferences,
+  getSavedPlans,
+  onStateEvent,
+} from "./state.js";
+import {
+  getHistoryEntries,
+  importHistoryEntries,
+  onHistoryEvent,
+} from "./history.js";
+import { isLeadingTab } from "./sync.js";
+
+const CLOUD_KEY = "pomodoro-cloud";
+// Changes waiting for the server, shared by all tabs.
+const OUTBOX_KEY = "pomodoro-outbox";
+// Settings sliders fire often; one push covers a burst of changes.
+const PUSH_DELAY_MS = 2000;
+const PULL_INTERVAL_MS = 60 * 1000;
+const RETRY_DELAYS_MS = [5000, 15000, 60000, 5 * 60 * 1000];
+const MAX_CONFLICTS = 10;
+
+// Where each synced collection is read from locally. History is handled
+// entry by entry instead.
+const COLLECTIONS = {
+  plan: getPlanSettings,
+  preferences: getPreferences,
+  savedPlans: getSavedPlans,
+};
+
+export class CloudError extends Error {
+  constructor(message, { status = 0, offline = false } = {}) {
+    super(message);
+    this.name = "CloudError";
+    this.status = status;
+    this.offline = offline;
+  }
+}
+
+const cloudEvents = new EventTarget();
+let status = loadCloud().token ? "idle" : "signed-out"; // signed-out | idle | syncing | offline | error
+let statusMessage = "";
+let syncing = null;
+let pushTimer = null;
+let retryTimer = null;
+let retryCount = 0;
+
+// Local edits are stamped even while signed out, so a first sign-in can tell
+// which side changed last.
+onStateEvent("plan:change", (event) => trackChange("plan", event.detail));
+onStateEvent("preferences:change", (event) =>
+  trackChange("preferences", event.detail)
+);
+onStateEvent("plans:change", (event) =>
+  trackChange("savedPlans", event.detail)
+);
+onHistoryEvent("history:change", (event) => trackHistory(event.detail));
+
+export function onCloudEvent(type, listener) {
+  cloudEvents.addEventListener(type, listener);
+}
+
+function emit(type, detail) {
+  cloudEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function setStatus(nextStatus, message = "") {
+  status = nextStatus;
+  statusMessage = message;
+  emit("cloud:status", getCloudStatus());
+}
+
+export function getCloudStatus() {
+  const { account, server, lastSyncedAt, conflicts } = loadCloud();
+  const outbox = readOutbox();
+  return {
+    status,
+    message: statusMessage,
+    account: account || null,
+    server: server || defaultServer(),
+    lastSyncedAt: lastSyncedAt || null,
+    pending:
+      Object.keys(outbox.records).length +
+      outbox.history.length +
+      (outbox.allHistory ? 1 : 0),
+    conflicts: conflicts || [],
+  };
+}
+
+export function initCloudSync() {
+  window.addEventListener("online", () => autoSync());
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") autoSync();
+  });
+  window.addEventListener("storage", (event) => {
+    // Another tab queued a change or signed in or out.
+    if (event.key === OUTBOX_KEY) schedulePush();
+    if (event.key === CLOUD_KEY || event.key === null) {
+      const signedIn = Boolean(loadCloud().token);
+      if (signedIn !== (status !== "signed-out")) {
+        setStatus(signedIn ? "idle" : "signed-out");
+      }
+    }
+  });
+  setInterval(() => autoSync(), PULL_INTERVAL_MS);
+  autoSync();
+}
+
+/* ---------- account ---------- */
+
+export async function signIn({ server, email, password, create = false }) {
+  const base = normalizeServer(server);
+  const result = await request(
+    "POST",
+    create ? "/api/accounts" : "/api/sessions",
+    { email, password },
+    { server: base, token: null }
+  );
+  const { stamps = {} } = loadCloud();
+  // A new sign-in starts from revision 0, so the account's data comes down.
+  saveCloud({
+    server: base,
+    token: result.token,
+    account: result.account,
+    revision: 0,
+    stamps,
+    conflicts: [],
+  });
+  seedOutbox(stamps);
+  retryCount = 0;
+  setStatus("idle");
+  syncNow();
+  return result.account;
+}
+
+// The server is told when it can be reached; this device forgets the token
+// either way. Unsynced changes stay here and are not sent to the next account.
+export async function signOut() {
+  try {
+    await request("DELETE", "/api/sessions");
+  } catch (error) {
+    // An unreachable server keeps a stale token it will never see again.
+  }
+  forgetSession();
+}
+
+function forgetSession() {
+  const { server, stamps } = loadCloud();
+  saveCloud({ server, stamps });
+  writeOutbox(emptyOutbox());
+  clearTimeout(pushTimer);
+  clearTimeout(retryTimer);
+  setStatus("signed-out");
+}
+
+/* ---------- sync ---------- */
+
+// Pushes queued changes and pulls everything newer in one request. Only one
+// sync runs at a time; callers during a sync share its result.
+export function syncNow() {
+  if (!syncing) {
+    syncing = runSync().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+// Background syncs come from the leading tab only, so open tabs don't send
+// the shared outbox twice.
+function autoSync() {
+  if (!loadCloud().token || !isLeadingTab()) return;
+  syncNow();
+}
+
+function schedulePush() {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => autoSync(), PUSH_DELAY_MS);
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  const delay =
+    RETRY_DELAYS_MS[Math.min(retryCount, RETRY_DELAYS_MS.length - 1)];
+  retryCount += 1;
+  retryTimer = setTimeout(() => autoSync(), delay);
+}
+
+async function runSync() {
+  const session = loadCloud();
+  if (!session.token) return;
+  clearTimeout(pushTimer);
+  clearTimeout(retryTimer);
+  setStatus("syncing");
+
+  try {
+    const sent = await collectOutbox();
+    const result = await request("POST", "/api/sync", {
+      since: session.revision || 0,
+      changes: sent.changes,
+    });
+    clearSent(sent);
+    await applyRemoteChanges(result.changes);
+    saveCloud({
+      ...loadCloud(),
+      revision: result.revision,
+      lastSyncedAt: Date.now(),
+    });
+    if (result.conflicts.length) recordConflicts(result.conflicts);
+    retryCount = 0;
+    setStatus("idle");
+    // Changes made while the request was out go in the next round.
+    if (getCloudStatus().pending) schedulePush();
+  } catch (error) {
+    // Local failures (history store unavailable, storage full) are retried
+    // like server errors; no caller waits on a sync to handle them.
+    if (!(error instanceof CloudError)) {
+      setStatus("error", "Could not read or save sync data on this device");
+      scheduleRetry();
+      return;
+    }
+    if (error.status === 401) {
+      forgetSession();
+      setStatus("signed-out", error.message);
+      return;
+    }
+    setStatus(error.offline ? "offline" : "error", error.message);
+    scheduleRetry();
+  }
+}
+
+async function collectOutbox() {
+  const outbox = readOutbox();
+  const history = outbox.allHistory
+    ? await getHistoryEntries()
+    : outbox.history;
+  return {
+    changes: [
+      ...Object.values(outbox.records),
+      ...history.map(toHistoryChange),
+    ],
+    outbox,
+  };
+}
+
+// Keeps whatever was queued while the request was out.
+function clearSent({ outbox: sent }) {
+  const outbox = readOutbox();
+  Object.entries(sent.records).forEach(([id, change]) => {
+    if (outbox.records[id]?.updatedAt === change.updatedAt) {
+      delete outbox.records[id];
+    }
+  });
+  outbox.history.splice(0, sent.history.length);
+  if (outbox.allHistory === sent.allHistory) outbox.allHistory = false;
+  writeOutbox(outbox);
+}
+
+async function applyRemoteChanges(changes) {
+  const outbox = readOutbox();
+  const cloud = loadCloud();
+  const stamps = { ...(cloud.stamps || {}) };
+  const values = {};
+  const entries = [];
+
+  changes.forEach((change) => {
+    if (change.collection === "history") {
+      entries.push(change.value);
+      return;
+    }
+    // A local edit still queued goes up next and the server settles it.
+    if (!COLLECTIONS[change.collection] || outbox.records[change.collection]) {
+      return;
+    }
+    values[change.collection] = change.value;
+    stamps[change.collection] = change.updatedAt;
+  });
+
+  if (Object.keys(values).length) {
+    adoptSyncedState(values);
+    saveCloud({ ...loadCloud(), stamps });
+  }
+  if (entries.length) {
+    const known = new Set((await getHistoryEntries()).map(historyKey));
+    const incoming = entries.filter((entry) => !known.has(historyKey(entry)));
+    if (incoming.length) {
+      await importHistoryEntries(incoming, { origin: "cloud" });
+    }
+  }
+}
+
+function recordConflicts(conflicts) {
+  const cloud = loadCloud();
+  const stamped = conflicts.map((conflict) => ({
+    ...conflict,
+    at: Date.now(),
+  }));
+  saveCloud({
+    ...cloud,
+    conflicts: [...stamped, ...(cloud.conflicts || [])].slice(0, MAX_CONFLICTS),
+  });
+  emit("cloud:conflict", { conflicts: stamped });
+}
+
+/* ---------- change tracking ---------- */
+
+function trackChange(collection, detail) {
+  if (detail.external) return;
+  const updatedAt = Date.now();
+  const cloud = loadCloud();
+  saveCloud({
+    ...cloud,
+    stamps: { ...(cloud.stamps || {}), [collection]: updatedAt },
+  });
+  if (!cloud.token) return;
+  queueRecord(collection, updatedAt);
+  schedulePush();
+}
+
+function trackHistory(detail) {
+  if (detail.external || detail.origin === "cloud") return;
+  if (!loadCloud().token) return;
+  const outbox = readOutbox();
+  if (detail.added) {
+    outbox.history.push(...detail.added.map(({ id, ...entry }) => entry));
+  } else if (detail.imported) {
+    // Backups can bring in any amount of history; the server drops repeats.
+    outbox.allHistory = Date.now();
+  } else {
+    // Clearing history here leaves the server's copy alone.
+    return;
+  }
+  writeOutbox(outbox);
+  schedulePush();
+}
+
+function queueRecord(collection, updatedAt) {
+  const outbox = readOutbox();
+  outbox.records[collection] = {
+    collection,
+    key: "current",
+    value: COLLECTIONS[collection](),
+    updatedAt,
+  };
+  writeOutbox(outbox);
+}
+
+// The first sync of a device offers what was edited here; untouched
+// defaults stay back so the account's values come down unopposed.
+function seedOutbox(stamps) {
+  writeOutbox(emptyOutbox());
+  Object.keys(COLLECTIONS).forEach((collection) => {
+    if (stamps[collection]) queueRecord(collection, stamps[collection]);
+  });
+  const outbox = readOutbox();
+  outbox.allHistory = Date.now();
+  writeOutbox(outbox);
+}
+
+// Same identity backups use to spot repeats.
+function historyKey(entry) {
+  return `${entry.phase}@${entry.startedAt}`;
+}
+
+function toHistoryChange(entry) {
+  const { id, ...value } = entry;
+  return {
+    collection: "history",
+    key: historyKey(entry),
+    value,
+    updatedAt: entry.startedAt,
+  };
+}
+
+/* ---------- transport and storage ---------- */
+
+async function request(method, path, body, session = loadCloud()) {
+  const headers = {};
+  if (body) headers["Content-Type"] = "application/json";
+  if (session.token) headers.Authorization = `Bearer ${session.token}`;
+
+  let response;
+  try {
+    response = await fetch(`${session.server || defaultServer()}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new CloudError("Can't reach the sync server", { offline: true });
+  }
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new CloudError(data.error || `Server error ${response.status}`, {
+      status: response.status,
+    });
+  }
+  return data;
+}
+
+// The sync server also serves the app, so by default it is this origin.
+function defaultServer() {
+  return typeof location !== "undefined" && location.protocol.startsWith("http")
+    ? location.origin
+    : "http://localhost:8787";
+}
+
+function normalizeServer(server) {
+  const value = (server || "").trim() || defaultServer();
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new CloudError(
+      "Enter the server address, like http://localhost:8787"
+    );
+  }
+  return url.origin;
+}
+
+function loadCloud() {
+  if (typeof window === "undefined") return {};
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CLOUD_KEY) || "null");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveCloud(cloud) {
+  if (typeof window === "undefined") return;
+  localStorage.setItem(CLOUD_KEY, JSON.stringify(cloud));
+}
+
+function emptyOutbox() {
+  return { records: {}, history: [], allHistory: false };
+}
+
+function readOutbox() {
+  if (typeof window === "undefined") return emptyOutbox();
+  try {
+    const parsed = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "null");
+    return parsed && typeof parsed === "object"
+      ? { ...emptyOutbox(), ...parsed }
+      : emptyOutbox();
+  } catch (error) {
+    return emptyOutbox();
+  }
+}
+
+function writeOutbox(outbox) {
+  if (typeof window === "undefined") return;
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+}
@@ -0,0 +1,67 @@
+// customsounds.js
+// Audio files uploaded by the user, kept in IndexedDB and keyed by the bundled sound they replace.
+
+import { openDatabase, requestToPromise, transactionDone } from "./db.js";
+
+const STORE = "sounds";
+// Large enough for a long ambient loop, small enough to keep the database lean.
+export const MAX_CUSTOM_SOUND_BYTES = 10 * 1024 * 1024;
+
+const customSoundEvents = new EventTarget();
+
+export function onCustomSoundEvent(type, listener) {
+  customSoundEvents.addEventListener(type, listener);
+}
+
+function emit(type, detail) {
+  customSoundEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// Called by the sync layer when another tab changed the stored sounds.
+export function announceExternalSoundChange() {
+  emit("sounds:change", { external: true });
+}
+
+// Entries look like { key, name, type, size, blob, addedAt }.
+export async function getCustomSounds() {
+  let database;
+  try {
+    database = await openDatabase();
+  } catch (error) {
+    return [];
+  }
+  const store = database.transaction(STORE, "readonly").objectStore(STORE);
+  return requestToPromise(store.getAll());
+}
+
+export async function saveCustomSound(key, file) {
+  if (!file.type.startsWith("audio/")) {
+    throw new Error(`“${file.name}” is not an audio file`);
+  }
+  if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+    throw new Error(`“${file.name}” is larger than 10 MB`);
+  }
+
+  const entry = {
+    key,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    blob: file,
+    addedAt: Date.now(),
+  };
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE, "readwrite");
+  transaction.objectStore(STORE).put(entry);
+  await transactionDone(transaction);
+  emit("sounds:change", { saved: key });
+  return entry;
+}
+
+export async function deleteCustomSound(key) {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE, "readwrite");
+  transaction.objectStore(STORE).delete(key);
+  await transactionDone(transaction);
+  emit("sounds:change", { deleted: key });
+}
@@ -0,0 +1,67 @@
+// db.js
+// Opens the app's IndexedDB database and wraps its request/transaction callbacks in promises.
+
+const DB_NAME = "pomodoro";
+const DB_VERSION = 2;
+
+let databasePromise = null;
+
+export function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => upgradeDatabase(request.result);
+    request.onsuccess = () => {
+      const database = request.result;
+      // Step aside when a newer tab needs to upgrade the schema.
+      database.onversionchange = () => {
+        database.close();
+        databasePromise = null;
+      };
+      resolve(database);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call retry instead of caching the failure forever.
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+}
+
+// Creates whatever stores are missing, so every version bump only needs a new entry here.
+function upgradeDatabase(database) {
+  if (!database.objectStoreNames.contains("sessions")) {
+    const sessions = database.createObjectStore("sessions", {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    sessions.createIndex("startedAt", "startedAt");
+  }
+  if (!database.objectStoreNames.contains("sounds")) {
+    database.createObjectStore("sounds", { keyPath: "key" });
+  }
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,86 @@
+// favicon.js
+// Draws the timer's progress ring into the tab icon.
+
+const SIZE = 64;
+const LINE_WIDTH = 8;
+// The ring is redrawn at most once per step, not on every second.
+const STEPS = 64;
+const TRACK_COLOR = "rgba(148, 163, 184, 0.35)";
+
+let canvas = null;
+let iconLink = null;
+let defaultHref = null;
+let lastKey = null;
+
+function getIconLink() {
+  if (!iconLink) {
+    iconLink = document.querySelector('link[rel="icon"]');
+    if (!iconLink) {
+      iconLink = document.createElement("link");
+      iconLink.rel = "icon";
+      document.head.appendChild(iconLink);
+    }
+    defaultHref = iconLink.getAttribute("href");
+  }
+  return iconLink;
+}
+
+// ratio is the share of the phase still remaining, from 1 down to 0.
+export function drawFavicon(ratio, color) {
+  const step = Math.round(Math.min(1, Math.max(0, ratio)) * STEPS);
+  const key = `${color}:${step}`;
+  if (key === lastKey) return;
+
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    canvas.width = SIZE;
+    canvas.height = SIZE;
+  }
+  const context = canvas.getContext("2d");
+  if (!context) return;
+  lastKey = key;
+
+  const center = SIZE / 2;
+  const radius = center - LINE_WIDTH / 2 - 2;
+  const start = -Math.PI / 2;
+
+  context.clearRect(0, 0, SIZE, SIZE);
+  context.lineWidth = LINE_WIDTH;
+  context.lineCap = "round";
+
+  context.strokeStyle = TRACK_COLOR;
+  context.beginPath();
+  context.arc(center, center, radius, 0, Math.PI * 2);
+  context.stroke();
+
+  if (step > 0) {
+    context.strokeStyle = color;
+    context.beginPath();
+    context.arc(
+      center,
+      center,
+      radius,
+      start,
+      start + (Math.PI * 2 * step) / STEPS
+    );
+    context.stroke();
+  }
+
+  context.fillStyle = color;
+  context.beginPath();
+  context.arc(center, center, radius / 3, 0, Math.PI * 2);
+  context.fill();
+
+  getIconLink().href = canvas.toDataURL("image/png");
+}
+
+export function resetFavicon() {
+  if (lastKey === null) return;
+  lastKey = null;
+  const link = getIconLink();
+  if (defaultHref) {
+    link.setAttribute("href", defaultHref);
+  } else {
+    link.removeAttribute("href");
+  }
+}
@@ -0,0 +1,230 @@
+// goal.js
+// Daily focus goal: progress bar next to the cycle stats, celebration, goal streak and the Daily goal settings.
+
+import { getPreferences, updatePreferences, onStateEvent } from "./state.js";
+import { getHistoryEntries, onHistoryEvent } from "./history.js";
+import { onTimerEvent } from "./timer.js";
+import {
+  computeStreaks,
+  dayKey,
+  groupByDay,
+  startOfDay,
+  toDayTime,
+} from "./stats.js";
+import { showToast } from "./toast.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Preferences only hold what the user changed.
+const DEFAULT_GOAL = {
+  enabled: true,
+  unit: "pomodoros", // pomodoros | minutes
+  target: 8,
+};
+
+export const GOAL_LIMITS = {
+  pomodoros: { min: 1, max: 24 },
+  minutes: { min: 5, max: 960 },
+  dayStartHour: { min: 0, max: 23 },
+};
+
+let nodes = null;
+// Last computed progress; `day` tells a new day apart from a new entry.
+let progress = null;
+let refreshing = false;
+
+export function getGoalSettings() {
+  return { ...DEFAULT_GOAL, ...(getPreferences().dailyGoal || {}) };
+}
+
+function updateGoalSettings(changes) {
+  updatePreferences({ dailyGoal: { ...getGoalSettings(), ...changes } });
+}
+
+// How far today's focus got towards the goal, and how many days in a row
+// (today included once reached) met it. Works for any mix of plan runs,
+// resets and skips: completed focus phases count as pomodoros, all focus
+// time counts as minutes.
+export function computeGoalProgress(
+  entries,
+  reference = Date.now(),
+  settings = getGoalSettings(),
+  dayStartHour = 0
+) {
+  const days = groupByDay(entries, dayStartHour);
+  const dayTime = toDayTime(reference, dayStartHour);
+  const amountOf = (totals) =>
+    settings.unit === "minutes"
+      ? Math.floor(totals.focusSeconds / 60)
+      : totals.pomodoros;
+  const today = days.get(dayKey(dayTime));
+  const done = today ? amountOf(today) : 0;
+  const { currentStreak } = computeStreaks(
+    days,
+    dayTime,
+    (totals) => amountOf(totals) >= settings.target
+  );
+
+  return {
+    day: dayKey(dayTime),
+    done,
+    target: settings.target,
+    unit: settings.unit,
+    reached: done >= settings.target,
+    streak: currentStreak,
+  };
+}
+
+export function describeGoalProgress({ done, target, unit }) {
+  return unit === "minutes"
+    ? `Today ${done}/${target} min`
+    : `Today ${done}/${target} 🍅`;
+}
+
+export function initGoalPanel() {
+  nodes = {
+    box: document.getElementById("goal-progress"),
+    label: document.getElementById("goal-label"),
+    bar: document.getElementById("goal-bar"),
+    fill: document.getElementById("goal-bar-fill"),
+    streak: document.getElementById("goal-streak"),
+    toggle: document.getElementById("goal-toggle"),
+    unit: document.getElementById("goal-unit"),
+    target: document.getElementById("goal-target"),
+    dayStart: document.getElementById("day-start-hour"),
+  };
+
+  nodes.dayStart.min = GOAL_LIMITS.dayStartHour.min.toString();
+  nodes.dayStart.max = GOAL_LIMITS.dayStartHour.max.toString();
+
+  const syncControls = () => {
+    const settings = getGoalSettings();
+    const limits = GOAL_LIMITS[settings.unit];
+    nodes.toggle.checked = settings.enabled;
+    nodes.unit.value = settings.unit;
+    nodes.target.min = limits.min.toString();
+    nodes.target.max = limits.max.toString();
+    if (document.activeElement !== nodes.target) {
+      nodes.target.value = settings.target;
+    }
+    if (document.activeElement !== nodes.dayStart) {
+      nodes.dayStart.value = getPreferences().dayStartHour;
+    }
+  };
+
+  nodes.toggle.addEventListener("change", () => {
+    updateGoalSettings({ enabled: nodes.toggle.checked });
+  });
+
+  // Switching units keeps the goal sensible: 8 pomodoros ≈ 200 minutes.
+  nodes.unit.addEventListener("change", () => {
+    const unit = nodes.unit.value;
+    const { target } = getGoalSettings();
+    const converted = unit === "minutes" ? target * 25 : target / 25;
+    updateGoalSettings({ unit, target: clampTo(GOAL_LIMITS[unit], converted) });
+  });
+
+  nodes.target.addEventListener("change", () => {
+    const { unit } = getGoalSettings();
+    const target = clampTo(GOAL_LIMITS[unit], nodes.target.value);
+    nodes.target.value = target;
+    updateGoalSettings({ target });
+  });
+
+  nodes.dayStart.addEventListener("change", () => {
+    const dayStartHour = clampTo(
+      GOAL_LIMITS.dayStartHour,
+      nodes.dayStart.value
+    );
+    nodes.dayStart.value = dayStartHour;
+    updatePreferences({ dayStartHour });
+  });
+
+  // Most preference changes (a volume slider) don't concern the goal.
+  let goalPreferences = describeGoalPreferences();
+  onStateEvent("preferences:change", () => {
+    syncControls();
+    const next = describeGoalPreferences();
+    if (next === goalPreferences) return;
+    goalPreferences = next;
+    refreshProgress();
+  });
+  onHistoryEvent("history:change", () => refreshProgress({ celebrate: true }));
+  // Ticks are the cheapest reminder to roll over at the day-start hour.
+  onTimerEvent("timer:update", () => {
+    if (!progress || refreshing) return;
+    const { dayStartHour } = getPreferences();
+    if (dayKey(toDayTime(Date.now(), dayStartHour)) !== progress.day) {
+      refreshProgress();
+    }
+  });
+
+  syncControls();
+  refreshProgress();
+}
+
+// Celebrates only when new history pushes today over the line, not when the
+// page loads or the target is lowered below what is already done.
+async function refreshProgress({ celebrate = false } = {}) {
+  const settings = getGoalSettings();
+  const { dayStartHour } = getPreferences();
+  const previous = progress;
+  refreshing = true;
+  let entries;
+  try {
+    entries = await getHistoryEntries({
+      from: startOfDay(Date.now(), dayStartHour) - 365 * DAY_MS,
+    });
+  } finally {
+    refreshing = false;
+  }
+  progress = computeGoalProgress(entries, Date.now(), settings, dayStartHour);
+  renderProgress(settings);
+
+  const newlyReached =
+    celebrate &&
+    progress.reached &&
+    previous &&
+    previous.day === progress.day &&
+    previous.target === progress.target &&
+    previous.unit === progress.unit &&
+    !previous.reached;
+  if (settings.enabled && newlyReached) celebrateGoal();
+}
+
+function renderProgress(settings) {
+  if (!nodes) return;
+  nodes.box.hidden = !settings.enabled;
+  if (!settings.enabled) return;
+
+  const ratio = Math.min(1, progress.done / progress.target);
+  nodes.label.textContent = describeGoalProgress(progress);
+  nodes.fill.style.width = `${ratio * 100}%`;
+  nodes.bar.setAttribute("aria-valuenow", progress.done.toString());
+  nodes.bar.setAttribute("aria-valuemax", progress.target.toString());
+  nodes.box.classList.toggle("reached", progress.reached);
+  nodes.streak.hidden = progress.streak === 0;
+  nodes.streak.textContent = `🔥 ${progress.streak} ${
+    progress.streak === 1 ? "day" : "days"
+  }`;
+  nodes.streak.title = "Days in a row the goal was met";
+}
+
+function celebrateGoal() {
+  showToast(`🎉 Daily goal reached — ${describeGoalProgress(progress)}`, {
+    duration: 4000,
+  });
+  nodes.box.classList.remove("celebrate");
+  // Restart the animation even if it ran earlier in this page's life.
+  void nodes.box.offsetWidth;
+  nodes.box.classList.add("celebrate");
+}
+
+function describeGoalPreferences() {
+  return JSON.stringify([getGoalSettings(), getPreferences().dayStartHour]);
+}
+
+function clampTo({ min, max }, value) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return min;
+  return Math.min(max, Math.max(min, number));
+}
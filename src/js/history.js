@@ -0,0 +1,84 @@
+// history.js
+// Records every finished focus/relax phase in IndexedDB and answers range queries for stats.
+
+import { onTimerEvent } from "./timer.js";
+import { openDatabase, requestToPromise, transactionDone } from "./db.js";
+
+const STORE = "sessions";
+const historyEvents = new EventTarget();
+
+// Every phase the timer closes (completed, reset or skipped) becomes one entry.
+onTimerEvent("timer:phase", (event) => {
+  // Without IndexedDB the timer still works; the phase just isn't recorded.
+  addHistoryEntry(event.detail).catch(() => {});
+});
+
+export function onHistoryEvent(type, listener) {
+  historyEvents.addEventListener(type, listener);
+}
+
+function emit(type, detail) {
+  historyEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// IndexedDB is shared between tabs but its changes are not announced; the
+// sync layer calls this when another tab wrote history.
+export function announceExternalHistoryChange() {
+  emit("history:change", { external: true });
+}
+
+export async function addHistoryEntry(entry) {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE, "readwrite");
+  const id = await requestToPromise(
+    transaction.objectStore(STORE).add({ ...entry })
+  );
+  await transactionDone(transaction);
+  const saved = { ...entry, id };
+  emit("history:change", { added: [saved] });
+  return saved;
+}
+
+// Writes many entries in one transaction and announces them once. `origin`
+// tells listeners where they came from ("cloud" for the sync server).
+export async function importHistoryEntries(
+  entries,
+  { origin = "backup" } = {}
+) {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE, "readwrite");
+  const store = transaction.objectStore(STORE);
+  entries.forEach((entry) => {
+    const { id, ...fields } = entry;
+    store.add(fields);
+  });
+  await transactionDone(transaction);
+  emit("history:change", { imported: entries.length, origin });
+}
+
+// Returns entries whose start falls in [from, to), oldest first.
+export async function getHistoryEntries({ from = 0, to = Infinity } = {}) {
+  let database;
+  try {
+    database = await openDatabase();
+  } catch (error) {
+    return [];
+  }
+  const index = database
+    .transaction(STORE, "readonly")
+    .objectStore(STORE)
+    .index("startedAt");
+  const range =
+    to === Infinity
+      ? IDBKeyRange.lowerBound(from)
+      : IDBKeyRange.bound(from, to, false, true);
+  return requestToPromise(index.getAll(range));
+}
+
+export async function clearHistory() {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE, "readwrite");
+  transaction.objectStore(STORE).clear();
+  await transactionDone(transaction);
+  emit("history:change", { cleared: true });
+}
@@ -0,0 +1,119 @@
+// interruptions.js
+// Quick interruption log during focus and the per-phase / per-day interruption counter.
+
+import {
+  INTERRUPTION_KINDS,
+  getPhaseInterruptions,
+  getTimerState,
+  logInterruption,
+  onTimerEvent,
+} from "./timer.js";
+import { getHistoryEntries, onHistoryEvent } from "./history.js";
+import { getPreferences } from "./state.js";
+import { startOfDay } from "./stats.js";
+import { showToast } from "./toast.js";
+
+const KIND_LABELS = {
+  internal: "Internal",
+  external: "External",
+};
+
+let nodes = null;
+// Interruptions already stored in today's history, so ticks don't hit IndexedDB.
+let loggedToday = { day: null, count: 0 };
+
+export function initInterruptionLog() {
+  nodes = {
+    bar: document.getElementById("interruption-bar"),
+    note: document.getElementById("interruption-note"),
+    count: document.getElementById("interruption-count"),
+  };
+
+  nodes.bar.append(...INTERRUPTION_KINDS.map((kind) => createKindButton(kind)));
+
+  nodes.bar.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-interruption]");
+    if (button) submit(button.dataset.interruption);
+  });
+
+  onTimerEvent("timer:update", (event) => render(event.detail));
+  onTimerEvent("timer:interruption", () => render(getTimerState()));
+  onHistoryEvent("history:change", () => refreshToday());
+  refreshToday();
+}
+
+// Used by the keyboard shortcut: jump straight into the note field.
+export function focusInterruptionLog() {
+  if (!nodes || nodes.bar.hidden) return;
+  nodes.note.focus();
+}
+
+function submit(kind) {
+  const entry = logInterruption({ kind, note: nodes.note.value });
+  if (!entry) return;
+  nodes.note.value = "";
+  nodes.note.blur();
+  showToast(
+    entry.source === "pause"
+      ? `Pause logged as ${kind}`
+      : `${KIND_LABELS[kind]} interruption logged`
+  );
+}
+
+function isFocusInProgress(state) {
+  return (
+    state.phase === "focus" &&
+    (state.status === "running" || state.status === "paused")
+  );
+}
+
+function render(state) {
+  if (!nodes) return;
+  const inFocus = isFocusInProgress(state);
+  nodes.bar.hidden = !inFocus;
+  nodes.note.placeholder =
+    state.status === "paused"
+      ? "Why did you pause? (optional)"
+      : "Interruption note (optional)";
+
+  if (loggedToday.day !== dayStart()) {
+    refreshToday();
+    return;
+  }
+  const current = inFocus ? getPhaseInterruptions().length : 0;
+  const today = loggedToday.count + current;
+  nodes.count.hidden = !inFocus && today === 0;
+  nodes.count.textContent = inFocus
+    ? `Interruptions: ${current} · ${today} today`
+    : `Interruptions today: ${today}`;
+}
+
+// Claims the day before querying so ticks arriving meanwhile don't query again.
+async function refreshToday() {
+  const day = dayStart();
+  loggedToday = { day, count: loggedToday.day === day ? loggedToday.count : 0 };
+  const entries = await getHistoryEntries({ from: day });
+  if (loggedToday.day !== day) return;
+  loggedToday.count = countInterruptions(entries);
+  render(getTimerState());
+}
+
+function countInterruptions(entries) {
+  return entries.reduce(
+    (total, entry) => total + (entry.interruptions || []).length,
+    0
+  );
+}
+
+function dayStart() {
+  return startOfDay(Date.now(), getPreferences().dayStartHour);
+}
+
+function createKindButton(kind) {
+  const button = document.createElement("button");
+  button.className = "phase-control";
+  button.dataset.interruption = kind;
+  button.textContent = KIND_LABELS[kind];
+  button.title = `Log an ${kind} interruption`;
+  return button;
+}
@@ -0,0 +1,210 @@
+// links.js
+// Plan links: the plan and its switches carried in the page address, so a plan can be handed to someone else.
+//
+//   #plan=50-10x3&long=15/4&auto=1&sound=0&autostart=1
+//
+// Every part is optional, and the same keys work in the query string.
+
+import {
+  PLAN_LIMITS,
+  getPlanSettings,
+  getPreferences,
+  updatePlanSettings,
+  updatePreferences,
+} from "./state.js";
+import {
+  applyPlanSettings,
+  getTimerState,
+  performPrimaryAction,
+} from "./timer.js";
+import { showToast } from "./toast.js";
+
+const LINK_KEYS = ["plan", "long", "auto", "sound", "autostart"];
+const PLAN_PATTERN = /^(\d+)-(\d+)x(\d+)$/i;
+const LONG_PATTERN = /^(\d+)\/(\d+)$/;
+// A bare ?autostart counts as on.
+const FLAGS = {
+  "": true,
+  1: true,
+  on: true,
+  true: true,
+  0: false,
+  off: false,
+  false: false,
+};
+const FIELD_NAMES = {
+  focusMinutes: "focus minutes",
+  relaxMinutes: "break minutes",
+  cycles: "cycles",
+  longBreakMinutes: "long break minutes",
+  longBreakInterval: "long break interval",
+};
+
+class PlanLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PlanLinkError";
+  }
+}
+
+// Returns null when the address carries no plan link, otherwise
+// { plan, preferences, autostart } with only the parts the link sets.
+export function readPlanLink(location = window.location) {
+  const params = readParams(location);
+  if (!LINK_KEYS.some((key) => params.has(key))) return null;
+
+  const plan = {};
+  if (params.has("plan")) {
+    const match = PLAN_PATTERN.exec(params.get("plan").trim());
+    if (!match) {
+      throw new PlanLinkError("plan should look like 50-10x3");
+    }
+    plan.focusMinutes = checkLimit("focusMinutes", match[1]);
+    plan.relaxMinutes = checkLimit("relaxMinutes", match[2]);
+    plan.cycles = checkLimit("cycles", match[3]);
+  }
+  if (params.has("long")) {
+    const value = params.get("long").trim();
+    if (value === "off" || value === "0") {
+      plan.longBreakInterval = 0;
+    } else {
+      const match = LONG_PATTERN.exec(value);
+      if (!match) {
+        throw new PlanLinkError("long should look like 15/4 or off");
+      }
+      plan.longBreakMinutes = checkLimit("longBreakMinutes", match[1]);
+      plan.longBreakInterval = checkLimit("longBreakInterval", match[2]);
+    }
+  }
+
+  const preferences = {};
+  if (params.has("auto")) preferences.autoCycle = readFlag(params, "auto");
+  if (params.has("sound")) preferences.sound = readFlag(params, "sound");
+
+  return {
+    plan: Object.keys(plan).length ? plan : null,
+    preferences,
+    autostart: params.has("autostart") && readFlag(params, "autostart"),
+  };
+}
+
+// Custom sequences carry labels and sounds per segment; links stick to the
+// repeated focus/relax cycles.
+export function buildPlanLink(
+  plan = getPlanSettings(),
+  preferences = getPreferences()
+) {
+  if (Array.isArray(plan.segments) && plan.segments.length) {
+    throw new PlanLinkError("custom sequences don't fit in a link");
+  }
+  // The link has to open on the other end, so it obeys the picker ranges.
+  ["focusMinutes", "relaxMinutes", "cycles"].forEach((field) =>
+    checkLimit(field, plan[field])
+  );
+  if (plan.longBreakInterval > 0) {
+    checkLimit("longBreakMinutes", plan.longBreakMinutes);
+    checkLimit("longBreakInterval", plan.longBreakInterval);
+  }
+  const parts = [
+    ["plan", `${plan.focusMinutes}-${plan.relaxMinutes}x${plan.cycles}`],
+    [
+      "long",
+      plan.longBreakInterval > 0
+        ? `${plan.longBreakMinutes}/${plan.longBreakInterval}`
+        : "off",
+    ],
+    ["auto", preferences.autoCycle ? "1" : "0"],
+    ["sound", preferences.sound ? "1" : "0"],
+  ];
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = parts.map(([key, value]) => `${key}=${value}`).join("&");
+  return url.href;
+}
+
+export async function copyPlanLink(plan) {
+  let link;
+  try {
+    link = buildPlanLink(plan);
+  } catch (error) {
+    if (!(error instanceof PlanLinkError)) throw error;
+    showToast(`Can't share this plan: ${error.message}`);
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(link);
+    showToast("Plan link copied");
+  } catch (error) {
+    window.prompt("Copy this plan link", link);
+  }
+}
+
+// Runs before the UI reads the plan. The link is taken out of the address
+// afterwards so a reload doesn't apply it again.
+export function applyPlanLink() {
+  let link;
+  try {
+    link = readPlanLink();
+  } catch (error) {
+    if (!(error instanceof PlanLinkError)) throw error;
+    clearPlanLink();
+    showToast(`That plan link doesn't work: ${error.message}`);
+    return null;
+  }
+  if (!link) return null;
+  clearPlanLink();
+
+  if (Object.keys(link.preferences).length) {
+    updatePreferences(link.preferences);
+  }
+  if (link.plan) {
+    updatePlanSettings({ segments: null, ...link.plan });
+    applyPlanSettings();
+    showToast("Plan from the link applied");
+  }
+  return link;
+}
+
+// ?autostart=1 starts the plan, or resumes the session the page restored.
+export function startFromPlanLink(link) {
+  if (!link || !link.autostart) return;
+  if (getTimerState().status !== "running") performPrimaryAction();
+}
+
+function readParams(location) {
+  const params = new URLSearchParams(location.search);
+  new URLSearchParams(location.hash.replace(/^#/, "")).forEach((value, key) =>
+    params.set(key, value)
+  );
+  return params;
+}
+
+function clearPlanLink() {
+  const url = new URL(window.location.href);
+  const hash = new URLSearchParams(url.hash.replace(/^#/, ""));
+  LINK_KEYS.forEach((key) => {
+    url.searchParams.delete(key);
+    hash.delete(key);
+  });
+  url.hash = hash.toString();
+  window.history.replaceState(window.history.state, "", url.href);
+}
+
+function checkLimit(field, text) {
+  const value = Number(text);
+  const { min, max } = PLAN_LIMITS[field];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new PlanLinkError(
+      `${FIELD_NAMES[field]} must be between ${min} and ${max}`
+    );
+  }
+  return value;
+}
+
+function readFlag(params, key) {
+  const value = params.get(key).trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(FLAGS, value)) {
+    throw new PlanLinkError(`${key} should be 1 or 0`);
+  }
+  return FLAGS[value];
+}
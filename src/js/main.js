@@ -2,7 +2,17 @@
 // Entry point that wires the UI together once DOM content is ready.
 
 import { initUI } from "./ui.js";
+import { initServiceWorker } from "./pwa.js";
+import { initSync } from "./sync.js";
+import { initCloudSync } from "./cloud.js";
+import { applyPlanLink, startFromPlanLink } from "./links.js";
 
 window.addEventListener("DOMContentLoaded", () => {
+  initSync();
+  // A plan link replaces the plan before the UI shows it.
+  const link = applyPlanLink();
   initUI();
+  initServiceWorker();
+  initCloudSync();
+  startFromPlanLink(link);
 });
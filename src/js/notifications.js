@@ -0,0 +1,204 @@
+// notifications.js
+// Opt-in desktop notifications for phase changes that happen while the tab is hidden.
+
+import { getPreferences, updatePreferences, onStateEvent } from "./state.js";
+import {
+  getTimerState,
+  onTimerEvent,
+  performPrimaryAction,
+  skipPhase,
+} from "./timer.js";
+import { getServiceWorkerRegistration } from "./pwa.js";
+
+export const NOTIFICATION_EVENTS = [
+  { id: "focusEnd", label: "Focus finished" },
+  { id: "breakEnd", label: "Break finished" },
+  { id: "planEnd", label: "Plan finished" },
+  { id: "waiting", label: "Waiting for Continue" },
+];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  focusEnd: true,
+  breakEnd: true,
+  planEnd: true,
+  waiting: true,
+};
+// One tag for every phase notification, so a newer one replaces the last.
+const NOTIFICATION_TAG = "pomodoro-phase";
+
+export function isNotificationSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+// Preferences only hold what the user changed; the rest comes from defaults.
+export function getNotificationSettings() {
+  return { ...DEFAULT_SETTINGS, ...(getPreferences().notifications || {}) };
+}
+
+export function updateNotificationSettings(changes) {
+  updatePreferences({
+    notifications: { ...getNotificationSettings(), ...changes },
+  });
+}
+
+export function initNotificationsPanel() {
+  const permissionButton = document.getElementById("notification-permission");
+  const statusNode = document.getElementById("notification-status");
+  const eventToggles = document.querySelectorAll("[data-notification-event]");
+
+  const render = () => {
+    const settings = getNotificationSettings();
+    const permission = isNotificationSupported()
+      ? Notification.permission
+      : "unsupported";
+    const active = settings.enabled && permission === "granted";
+
+    statusNode.textContent = describePermission(permission, active);
+    permissionButton.textContent = active
+      ? "Turn off notifications"
+      : "Enable notifications";
+    permissionButton.disabled =
+      permission === "unsupported" || permission === "denied";
+    eventToggles.forEach((toggle) => {
+      toggle.checked = settings[toggle.dataset.notificationEvent];
+      toggle.disabled = !active;
+    });
+  };
+
+  permissionButton.addEventListener("click", async () => {
+    if (getNotificationSettings().enabled && isGranted()) {
+      updateNotificationSettings({ enabled: false });
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    updateNotificationSettings({ enabled: permission === "granted" });
+    render();
+  });
+
+  eventToggles.forEach((toggle) => {
+    toggle.addEventListener("change", () => {
+      updateNotificationSettings({
+        [toggle.dataset.notificationEvent]: toggle.checked,
+      });
+    });
+  });
+
+  onStateEvent("preferences:change", () => render());
+  onTimerEvent("timer:transition", (event) => handleTransition(event.detail));
+  listenForActions();
+  render();
+}
+
+function describePermission(permission, active) {
+  if (permission === "unsupported") {
+    return "This browser does not support notifications.";
+  }
+  if (permission === "denied") {
+    return "Notifications are blocked in the browser's site settings.";
+  }
+  if (active) return "On — shown while the tab is in the background.";
+  return "Off";
+}
+
+function isGranted() {
+  return isNotificationSupported() && Notification.permission === "granted";
+}
+
+function handleTransition(detail) {
+  const settings = getNotificationSettings();
+  if (!settings.enabled || !isGranted() || !document.hidden) return;
+
+  const content = describeTransition(detail);
+  if (!settings[content.event]) return;
+  // Permission can be revoked and the worker can go away between checks;
+  // a notification that can't be shown is simply skipped.
+  showNotification(content, detail.segmentIndex).catch(() => {});
+}
+
+// Title, body and action buttons for a transition; actions only offer what
+// the timer can actually do in the state it moved to.
+function describeTransition(detail) {
+  if (detail.transition === "finished") {
+    return {
+      event: "planEnd",
+      title: "Plan finished",
+      body: "Good job! Every segment is done.",
+      actions: [],
+    };
+  }
+
+  const title = `${detail.completedLabel} finished`;
+  if (detail.transition === "waiting") {
+    return {
+      event: "waiting",
+      title,
+      body: `${detail.cyclesLeft} cycles left. Continue when you are ready.`,
+      actions: [{ action: "start", title: `Start ${detail.segmentLabel}` }],
+    };
+  }
+
+  return {
+    event: detail.completedPhase === "focus" ? "focusEnd" : "breakEnd",
+    title,
+    body: `${detail.segmentLabel} started — ends at ${formatClock(
+      detail.endsAt
+    )}.`,
+    actions: [{ action: "skip", title: `Skip ${detail.segmentLabel}` }],
+  };
+}
+
+// Action buttons need a service worker; without one, or when it fails, a
+// plain notification still brings the tab back on click.
+async function showNotification({ title, body, actions }, segmentIndex) {
+  const options = {
+    body,
+    tag: NOTIFICATION_TAG,
+    renotify: true,
+    data: { segmentIndex },
+  };
+
+  try {
+    const registration = await getServiceWorkerRegistration();
+    if (registration) {
+      await registration.showNotification(title, { ...options, actions });
+      return;
+    }
+  } catch (error) {
+    // Fall through to the plain notification.
+  }
+
+  const notification = new Notification(title, options);
+  notification.addEventListener("click", () => {
+    window.focus();
+    notification.close();
+  });
+}
+
+// The service worker relays action buttons as messages. An action is only
+// honoured while the timer still sits on the segment it was offered for.
+function listenForActions() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const message = event.data || {};
+    if (message.type !== "notification-action") return;
+
+    const state = getTimerState();
+    if (state.segmentIndex !== message.segmentIndex) return;
+    if (message.action === "start" && state.status === "waiting") {
+      performPrimaryAction();
+    } else if (message.action === "skip" && state.status === "running") {
+      skipPhase();
+    }
+  });
+  navigator.serviceWorker.startMessages();
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
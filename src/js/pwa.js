@@ -0,0 +1,70 @@
+// pwa.js
+// Registers the service worker that makes the app installable and offline-capable, and offers new versions as they arrive.
+
+import { showToast } from "./toast.js";
+
+const WORKER_URL = "sw.js";
+
+let registrationPromise = null;
+let reloadRequested = false;
+
+function isSupported() {
+  return typeof navigator !== "undefined" && "serviceWorker" in navigator;
+}
+
+// Resolves to the active registration, or null where service workers are
+// unavailable (file://, old browsers, private modes that block them).
+export function getServiceWorkerRegistration() {
+  if (!isSupported()) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(WORKER_URL)
+      .then((registration) => {
+        watchForUpdates(registration);
+        return navigator.serviceWorker.ready;
+      })
+      .catch(() => {
+        registrationPromise = null;
+        return null;
+      });
+  }
+  return registrationPromise;
+}
+
+export function initServiceWorker() {
+  if (!isSupported()) return;
+  // Only a reload the user asked for; the first install also changes the
+  // controller and must not restart a running timer.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloadRequested) window.location.reload();
+  });
+  getServiceWorkerRegistration();
+}
+
+// A new worker waits until every tab has let go of the old one. With a page
+// already under control that means an update is ready to take over.
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    offerUpdate(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        offerUpdate(worker);
+      }
+    });
+  });
+}
+
+function offerUpdate(worker) {
+  showToast("Update available", {
+    actionLabel: "Reload",
+    duration: 0,
+    onAction: () => {
+      reloadRequested = true;
+      worker.postMessage({ type: "skip-waiting" });
+    },
+  });
+}
@@ -0,0 +1,436 @@
+// room.js
+// Shared room mode: a host's timer goes through the sync server's relay to everyone who joined with the room code, and they follow it in lockstep.
+
+import {
+  getTimerState,
+  mirrorTimerState,
+  onTimerEvent,
+  resetTimer,
+  setCommandRelay,
+  takeOverSession,
+} from "./timer.js";
+import { getPlanSettings } from "./state.js";
+import { getCloudStatus } from "./cloud.js";
+import { isLeadingTab } from "./sync.js";
+import { showToast } from "./toast.js";
+
+// { name, code, hostKey, host } so a reload walks back into the room.
+const ROOM_KEY = "pomodoro-room";
+const ROOM_PATH = "/rooms";
+const RECONNECT_DELAYS_MS = [1000, 3000, 10000, 30000];
+const CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
+const roomEvents = new EventTarget();
+let socket = null;
+let connecting = false;
+// Whether the server let the current connection in.
+let welcomed = false;
+// { code, host, memberId, members, hostAway, plan } while in a room.
+let room = null;
+let following = false;
+// Server clock minus this clock. Every message is late by its travel time,
+// so the largest sample is the closest.
+let clockOffset = 0;
+let lastShared = null;
+let reconnectTimer = null;
+let reconnectCount = 0;
+let nodes = null;
+
+// The host shares every change worth sharing; ticks aren't, since everyone
+// counts down from the same end time.
+onTimerEvent("timer:update", (event) => {
+  if (room && room.host) shareState(event.detail);
+});
+
+export function onRoomEvent(type, listener) {
+  roomEvents.addEventListener(type, listener);
+}
+
+function emit() {
+  roomEvents.dispatchEvent(
+    new CustomEvent("room:change", { detail: getRoomState() })
+  );
+}
+
+export function getRoomState() {
+  return room
+    ? { ...room, members: room.members.map((member) => ({ ...member })) }
+    : null;
+}
+
+export function hostRoom(name) {
+  if (!canOpenRoom()) return;
+  saveRoom({ name: name.trim(), host: true });
+  connect();
+}
+
+export function joinRoom(code, name) {
+  const cleanCode = code.trim().toUpperCase();
+  if (!CODE_PATTERN.test(cleanCode)) {
+    showToast("Room codes have 6 letters and digits");
+    return;
+  }
+  if (!canOpenRoom()) return;
+  saveRoom({ name: name.trim(), code: cleanCode, host: false });
+  connect();
+}
+
+// A host leaving closes the room for everyone.
+export function leaveRoom() {
+  send({ type: "leave" });
+  endRoom();
+}
+
+function canOpenRoom() {
+  if (room || connecting) {
+    showToast("Leave the current room first");
+    return false;
+  }
+  // Another tab of this browser runs the timer; only it can follow a room.
+  if (!isLeadingTab()) {
+    showToast("Open rooms from the tab that runs the timer");
+    return false;
+  }
+  return true;
+}
+
+/* ---------- connection ---------- */
+
+function connect() {
+  const saved = loadRoom();
+  if (!saved || typeof WebSocket === "undefined") return;
+  clearTimeout(reconnectTimer);
+  connecting = true;
+  welcomed = false;
+  clockOffset = -Infinity;
+  emit();
+
+  const connection = new WebSocket(roomUrl());
+  socket = connection;
+  connection.addEventListener("open", () => {
+    const hello = saved.host
+      ? {
+          type: "host",
+          name: saved.name,
+          code: saved.code,
+          hostKey: saved.hostKey,
+        }
+      : { type: "join", name: saved.name, code: saved.code };
+    send(hello);
+  });
+  connection.addEventListener("message", (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    handleMessage(message);
+  });
+  connection.addEventListener("close", () => {
+    if (socket !== connection) return;
+    socket = null;
+    connecting = false;
+    // Still meant to be in the room: the network or the server dropped us.
+    if (loadRoom()) scheduleReconnect();
+  });
+}
+
+function scheduleReconnect() {
+  const delay =
+    RECONNECT_DELAYS_MS[
+      Math.min(reconnectCount, RECONNECT_DELAYS_MS.length - 1)
+    ];
+  reconnectCount += 1;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(() => connect(), delay);
+  emit();
+}
+
+function handleMessage(message) {
+  if (Number.isFinite(message.serverTime)) {
+    clockOffset = Math.max(clockOffset, message.serverTime - Date.now());
+  }
+
+  switch (message.type) {
+    case "welcome":
+      welcome(message);
+      return;
+    case "members":
+      if (!room) return;
+      room.members = message.members;
+      emit();
+      return;
+    case "state":
+      if (room && !room.host) followState(message.state);
+      return;
+    case "host-away":
+      if (!room) return;
+      room.hostAway = true;
+      showToast("The host dropped out — waiting for them to come back");
+      emit();
+      return;
+    case "host-back":
+      if (!room) return;
+      room.hostAway = false;
+      emit();
+      return;
+    case "closed":
+      showToast(message.reason);
+      endRoom();
+      return;
+    case "error":
+      showToast(message.message);
+      // Refused at the door, on the first visit or coming back after a
+      // dropped connection: there is no room to go back to.
+      if (!welcomed) endRoom();
+      return;
+    default:
+      return;
+  }
+}
+
+function welcome(message) {
+  const saved = loadRoom();
+  const rejoined = Boolean(room);
+  connecting = false;
+  welcomed = true;
+  reconnectCount = 0;
+  room = {
+    code: message.code,
+    host: message.host,
+    memberId: message.memberId,
+    members: room ? room.members : [],
+    hostAway: Boolean(message.hostAway),
+    plan: room ? room.plan : null,
+  };
+  saveRoom({ ...saved, code: message.code, hostKey: message.hostKey });
+
+  if (room.host) {
+    lastShared = null;
+    room.plan = getPlanSettings();
+    shareState(getTimerState());
+  } else {
+    startFollowing();
+    if (message.state) followState(message.state);
+  }
+  if (!rejoined) {
+    showToast(
+      room.host
+        ? `Room ${room.code} is open — share the code`
+        : `Joined room ${room.code}`
+    );
+  }
+  emit();
+}
+
+function endRoom() {
+  clearTimeout(reconnectTimer);
+  localStorage.removeItem(ROOM_KEY);
+  const connection = socket;
+  socket = null;
+  connecting = false;
+  room = null;
+  if (connection) connection.close();
+  stopFollowing();
+  emit();
+}
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// The relay lives on the sync server, at the address the account uses.
+function roomUrl() {
+  const url = new URL(ROOM_PATH, getCloudStatus().server);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.href;
+}
+
+/* ---------- timer ---------- */
+
+// End times travel in server time, so clocks that disagree by a few seconds
+// still end the phase together.
+function shareState(state) {
+  const { message, ...shared } = state;
+  const plan = getPlanSettings();
+  room.plan = plan;
+  const outgoing = {
+    ...shared,
+    endsAt: shared.endsAt ? shared.endsAt + clockOffset : null,
+    plan,
+  };
+  const signature = JSON.stringify({
+    ...outgoing,
+    remainingSeconds:
+      outgoing.status === "running" ? null : outgoing.remainingSeconds,
+    totalRemainingSeconds: null,
+  });
+  if (signature === lastShared) return;
+  lastShared = signature;
+  send({ type: "state", state: outgoing });
+}
+
+function followState(state) {
+  if (!following) return;
+  const { plan, ...shared } = state;
+  const local = { ...shared, endsAt: null };
+  if (shared.status === "running" && shared.endsAt) {
+    local.endsAt = shared.endsAt - clockOffset;
+    // A late joiner gets the state as it was sent; only the end time holds.
+    local.remainingSeconds = Math.max(
+      0,
+      Math.ceil((local.endsAt - Date.now()) / 1000)
+    );
+    local.totalRemainingSeconds = Math.max(
+      0,
+      shared.totalRemainingSeconds -
+        (shared.remainingSeconds - local.remainingSeconds)
+    );
+  }
+  mirrorTimerState(local, [], { audible: true });
+  room.plan = plan || null;
+  emit();
+}
+
+// A session of this tab's own is closed as reset, so history keeps it.
+function startFollowing() {
+  if (following) return;
+  if (getTimerState().status !== "ready") resetTimer();
+  setCommandRelay(refuseCommand);
+  following = true;
+}
+
+function stopFollowing() {
+  if (!following) return;
+  following = false;
+  setCommandRelay(null);
+  takeOverSession(null);
+}
+
+function refuseCommand() {
+  showToast("Only the host controls the room timer");
+  return false;
+}
+
+/* ---------- storage ---------- */
+
+function loadRoom() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ROOM_KEY) || "null");
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function saveRoom(saved) {
+  localStorage.setItem(ROOM_KEY, JSON.stringify(saved));
+}
+
+/* ---------- panel ---------- */
+
+export function initRoomPanel() {
+  nodes = {
+    form: document.getElementById("room-form"),
+    name: document.getElementById("room-name"),
+    code: document.getElementById("room-code"),
+    host: document.getElementById("room-host"),
+    join: document.getElementById("room-join"),
+    details: document.getElementById("room-details"),
+    info: document.getElementById("room-info"),
+    plan: document.getElementById("room-plan"),
+    members: document.getElementById("room-members"),
+    copy: document.getElementById("room-copy"),
+    leave: document.getElementById("room-leave"),
+    note: document.getElementById("room-note"),
+    badge: document.getElementById("room-badge"),
+  };
+
+  const saved = loadRoom();
+  if (saved) nodes.name.value = saved.name || "";
+
+  nodes.host.addEventListener("click", () => hostRoom(nodes.name.value));
+  nodes.form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    joinRoom(nodes.code.value, nodes.name.value);
+  });
+  nodes.copy.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(room.code);
+      showToast(`Code ${room.code} copied`);
+    } catch (error) {
+      showToast(`Room code: ${room.code}`);
+    }
+  });
+  nodes.leave.addEventListener("click", () => {
+    const wasHost = room && room.host;
+    leaveRoom();
+    showToast(wasHost ? "Room closed" : "Left the room");
+  });
+
+  onRoomEvent("room:change", () => render());
+  render();
+
+  // Back into the room after a reload, as long as this tab runs the timer.
+  if (saved && saved.code && isLeadingTab()) connect();
+}
+
+function render() {
+  if (!nodes) return;
+  const inRoom = Boolean(room);
+  const pending =
+    !inRoom && (connecting || Boolean(reconnectTimer && loadRoom()));
+  nodes.form.hidden = inRoom || pending;
+  nodes.details.hidden = !inRoom && !pending;
+  nodes.note.textContent = `Rooms run through the sync server at ${
+    getCloudStatus().server
+  }.`;
+
+  nodes.badge.hidden = !inRoom;
+  if (!inRoom) {
+    nodes.info.textContent = pending ? "Connecting…" : "";
+    nodes.plan.textContent = "";
+    nodes.members.replaceChildren();
+    nodes.copy.hidden = true;
+    return;
+  }
+
+  const host = room.members.find((member) => member.host);
+  nodes.copy.hidden = false;
+  nodes.info.textContent = room.host
+    ? `Hosting room ${room.code} — share the code`
+    : room.hostAway
+      ? `Room ${room.code} · waiting for the host to come back`
+      : `Room ${room.code} · following ${host ? host.name : "the host"}`;
+  nodes.plan.textContent = room.plan
+    ? `Plan: ${describeRoomPlan(room.plan)}`
+    : "";
+  nodes.members.replaceChildren(
+    ...room.members.map((member) => {
+      const item = document.createElement("li");
+      item.className = "room-member";
+      const tags = [
+        member.host ? "host" : "",
+        member.id === room.memberId ? "you" : "",
+      ].filter(Boolean);
+      item.textContent = tags.length
+        ? `${member.name} (${tags.join(", ")})`
+        : member.name;
+      return item;
+    })
+  );
+  const count = room.members.length;
+  nodes.badge.textContent = `Room ${room.code} · ${count} ${
+    count === 1 ? "person" : "people"
+  }`;
+}
+
+function describeRoomPlan(plan) {
+  if (Array.isArray(plan.segments) && plan.segments.length) {
+    return plan.segments.map((segment) => segment.minutes).join(" / ");
+  }
+  return `${plan.focusMinutes} / ${plan.relaxMinutes} × ${plan.cycles}`;
+}
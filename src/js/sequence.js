@@ -0,0 +1,78 @@
+// sequence.js
+// Expands a plan into the ordered list of segments the timer walks through.
+
+export const SEGMENT_TYPES = ["focus", "relax", "longRelax"];
+export const SEGMENT_SOUNDS = ["focus", "relax", "longRelax", "none"];
+
+const DEFAULT_LABELS = {
+  focus: "Focus",
+  relax: "Relax",
+  longRelax: "Long break",
+};
+
+// A plan either lists its segments explicitly or is the classic
+// focus/relax pair repeated `cycles` times, where every
+// `longBreakInterval`-th break is a long one.
+export function buildSequence(plan) {
+  if (Array.isArray(plan.segments) && plan.segments.length > 0) {
+    return plan.segments.map(normalizeSegment);
+  }
+
+  const interval = plan.longBreakInterval || 0;
+  const segments = [];
+  for (let cycle = 1; cycle <= plan.cycles; cycle += 1) {
+    segments.push(
+      normalizeSegment({ type: "focus", minutes: plan.focusMinutes })
+    );
+    segments.push(
+      interval > 0 && cycle % interval === 0
+        ? normalizeSegment({
+            type: "longRelax",
+            minutes: plan.longBreakMinutes,
+          })
+        : normalizeSegment({ type: "relax", minutes: plan.relaxMinutes })
+    );
+  }
+  return segments;
+}
+
+export function normalizeSegment(segment) {
+  const type = SEGMENT_TYPES.includes(segment.type) ? segment.type : "focus";
+  return {
+    type,
+    minutes: Number(segment.minutes) || 1,
+    label: typeof segment.label === "string" ? segment.label.trim() : "",
+    sound: SEGMENT_SOUNDS.includes(segment.sound) ? segment.sound : type,
+  };
+}
+
+export function segmentLabel(segment) {
+  return segment.label || DEFAULT_LABELS[segment.type];
+}
+
+export function sequenceSeconds(segments, fromIndex = 0) {
+  return segments
+    .slice(fromIndex)
+    .reduce((total, segment) => total + segment.minutes * 60, 0);
+}
+
+export function hasLongBreaks(plan) {
+  return buildSequence(plan).some((segment) => segment.type === "longRelax");
+}
+
+export function countCycles(segments) {
+  return segments.filter((segment) => segment.type === "focus").length;
+}
+
+// A cycle is a focus segment plus the breaks after it, so a break still
+// belongs to the cycle of the focus before it. Warm-up breaks ahead of the
+// first focus belong to no cycle.
+export function cyclesLeftAt(segments, index) {
+  const ahead = countCycles(segments.slice(index + 1));
+  const current = segments[index];
+  if (!current) return ahead;
+  const belongsToCycle =
+    current.type === "focus" ||
+    segments.slice(0, index).some((segment) => segment.type === "focus");
+  return ahead + (belongsToCycle ? 1 : 0);
+}
@@ -0,0 +1,223 @@
+// shortcuts.js
+// Document-level keyboard shortcuts with a user-editable keymap and a "?" help overlay.
+
+import { getPreferences, updatePreferences, onStateEvent } from "./state.js";
+
+export const SHORTCUT_ACTIONS = [
+  { id: "toggle", label: "Start / pause", defaultKey: " " },
+  { id: "reset", label: "Reset timer", defaultKey: "r" },
+  { id: "skip", label: "Skip phase", defaultKey: "s" },
+  { id: "extend", label: "Add 5 minutes", defaultKey: "+" },
+  { id: "shorten", label: "Remove 1 minute", defaultKey: "-" },
+  { id: "interrupt", label: "Log interruption", defaultKey: "i" },
+  { id: "theme", label: "Toggle theme", defaultKey: "t" },
+  { id: "mute", label: "Mute / unmute", defaultKey: "m" },
+  { id: "help", label: "Show shortcuts", defaultKey: "?" },
+];
+
+// Digits always load saved plans and cannot be rebound.
+const PLAN_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9"];
+const EDITABLE_SELECTOR = "input, textarea, select, [contenteditable]";
+
+let handlers = {};
+let overlayNodes = null;
+let rebindingAction = null;
+
+// Preferences only hold the keys a user changed; everything else falls back
+// to the defaults above.
+export function getKeymap() {
+  const overrides = getPreferences().keymap || {};
+  return Object.fromEntries(
+    SHORTCUT_ACTIONS.map(({ id, defaultKey }) => [
+      id,
+      overrides[id] || defaultKey,
+    ])
+  );
+}
+
+export function initShortcuts(actionHandlers) {
+  handlers = actionHandlers;
+  overlayNodes = {
+    overlay: document.getElementById("shortcut-overlay"),
+    list: document.getElementById("shortcut-list"),
+    close: document.getElementById("shortcut-close"),
+    reset: document.getElementById("shortcut-reset"),
+    status: document.getElementById("shortcut-status"),
+  };
+
+  // Capture phase so a pending rebind sees the key before anything else.
+  document.addEventListener("keydown", handleRebindKey, true);
+  document.addEventListener("keydown", handleShortcutKey);
+
+  overlayNodes.close.addEventListener("click", () => closeShortcutHelp());
+  overlayNodes.overlay.addEventListener("click", (event) => {
+    if (event.target === overlayNodes.overlay) closeShortcutHelp();
+  });
+  overlayNodes.reset.addEventListener("click", () => {
+    rebindingAction = null;
+    updatePreferences({ keymap: {} });
+    setStatus("Shortcuts reset to defaults");
+  });
+  overlayNodes.list.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-rebind]");
+    if (!button) return;
+    rebindingAction = button.dataset.rebind;
+    setStatus("Press a key, or Escape to cancel");
+    renderShortcutList();
+  });
+
+  onStateEvent("preferences:change", () => renderShortcutList());
+  renderShortcutList();
+}
+
+export function openShortcutHelp() {
+  rebindingAction = null;
+  setStatus("");
+  renderShortcutList();
+  overlayNodes.overlay.hidden = false;
+  overlayNodes.close.focus();
+}
+
+export function closeShortcutHelp() {
+  rebindingAction = null;
+  overlayNodes.overlay.hidden = true;
+}
+
+function isHelpOpen() {
+  return overlayNodes && !overlayNodes.overlay.hidden;
+}
+
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Typing into pickers or fields must never trigger shortcuts, and Space or
+// Enter on a focused button already activates that button.
+function shouldIgnore(event) {
+  if (event.defaultPrevented) return true;
+  if (event.ctrlKey || event.metaKey || event.altKey) return true;
+  const target = event.target;
+  if (!(target instanceof Element)) return false;
+  if (target.closest(EDITABLE_SELECTOR)) return true;
+  const isActivationKey = event.key === " " || event.key === "Enter";
+  return isActivationKey && Boolean(target.closest("button, [role='button']"));
+}
+
+function handleShortcutKey(event) {
+  if (isHelpOpen() && event.key === "Escape") {
+    closeShortcutHelp();
+    return;
+  }
+  if (shouldIgnore(event)) return;
+
+  const key = normalizeKey(event.key);
+  const planIndex = PLAN_KEYS.indexOf(key);
+  if (planIndex !== -1) {
+    event.preventDefault();
+    handlers.loadPlan?.(planIndex);
+    return;
+  }
+
+  const keymap = getKeymap();
+  const action = Object.keys(keymap).find((id) => keymap[id] === key);
+  if (!action) return;
+
+  event.preventDefault();
+  if (action === "help") {
+    if (isHelpOpen()) {
+      closeShortcutHelp();
+    } else {
+      openShortcutHelp();
+    }
+    return;
+  }
+  handlers[action]?.();
+}
+
+function handleRebindKey(event) {
+  if (!rebindingAction) return;
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (event.key === "Escape") {
+    rebindingAction = null;
+    setStatus("");
+    renderShortcutList();
+    return;
+  }
+
+  const key = normalizeKey(event.key);
+  if (["Shift", "Control", "Alt", "Meta", "Tab"].includes(key)) return;
+  if (PLAN_KEYS.includes(key)) {
+    setStatus("Number keys are reserved for saved plans");
+    return;
+  }
+
+  const keymap = getKeymap();
+  const taken = SHORTCUT_ACTIONS.find(
+    ({ id }) => id !== rebindingAction && keymap[id] === key
+  );
+  if (taken) {
+    setStatus(`“${describeKey(key)}” is already used by ${taken.label}`);
+    return;
+  }
+
+  const action = rebindingAction;
+  rebindingAction = null;
+  setStatus("");
+  updatePreferences({
+    keymap: { ...(getPreferences().keymap || {}), [action]: key },
+  });
+}
+
+function setStatus(text) {
+  overlayNodes.status.textContent = text;
+}
+
+export function describeKey(key) {
+  if (key === " ") return "Space";
+  if (key === "Escape") return "Esc";
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+function renderShortcutList() {
+  if (!overlayNodes) return;
+  const keymap = getKeymap();
+
+  const rows = SHORTCUT_ACTIONS.map(({ id, label }) => {
+    const isRebinding = rebindingAction === id;
+    const row = document.createElement("li");
+    row.className = "shortcut-row";
+
+    const name = document.createElement("span");
+    name.className = "shortcut-label";
+    name.textContent = label;
+
+    const key = document.createElement("kbd");
+    key.className = "shortcut-key";
+    key.textContent = isRebinding ? "…" : describeKey(keymap[id]);
+
+    const change = document.createElement("button");
+    change.className = "plan-action shortcut-change";
+    change.dataset.rebind = id;
+    change.textContent = "✎";
+    change.title = `Change key for ${label}`;
+    change.setAttribute("aria-label", `Change key for ${label}`);
+    change.classList.toggle("is-active", isRebinding);
+
+    row.append(name, key, change);
+    return row;
+  });
+
+  const planRow = document.createElement("li");
+  planRow.className = "shortcut-row";
+  const planLabel = document.createElement("span");
+  planLabel.className = "shortcut-label";
+  planLabel.textContent = "Load saved plan";
+  const planKey = document.createElement("kbd");
+  planKey.className = "shortcut-key";
+  planKey.textContent = "1 – 9";
+  planRow.append(planLabel, planKey);
+
+  overlayNodes.list.replaceChildren(...rows, planRow);
+}
@@ -1,7 +1,11 @@
 // sound.js
 // Centralized audio management for timer modes, session starts and countdown cues.
+// Everything plays through one AudioContext: files are decoded once, every
+// cue gets its own source so overlapping sounds never cut each other off, and
+// countdown beeps are scheduled on the audio clock.
 
 import { getPreferences, onStateEvent } from "./state.js";
+import { getCustomSounds, onCustomSoundEvent } from "./customsounds.js";
 
 const SOUND_PATHS = {
   focusSwitch: "sounds/focus-switch.wav",
@@ -12,154 +16,642 @@ const SOUND_PATHS = {
   relaxStart: "sounds/relax-start.mp3",
   countdown: "sounds/countdown.wav",
   relaxAmbient: "sounds/relax-ambient.mp3",
+  metronome: "sounds/metronome.mp3",
+  reminder: "sounds/waiting-switch.wav",
 };
 
-const audioBank = {
-  focusSwitch: createAudio(SOUND_PATHS.focusSwitch, 0.25),
-  relaxSwitch: createAudio(SOUND_PATHS.relaxSwitch, 0.25),
-  waitingSwitch: createAudio(SOUND_PATHS.waitingSwitch, 0.25),
-  pause: createAudio(SOUND_PATHS.pause, 0.25),
-  focusStart: createAudio(SOUND_PATHS.focusStart, 0.3),
-  relaxStart: createAudio(SOUND_PATHS.relaxStart, 0.25),
-  countdown: createAudio(SOUND_PATHS.countdown, 0.25),
-  relaxAmbient: createAudio(SOUND_PATHS.relaxAmbient, 0.2, true),
+// Bundled files a user can replace with an upload of their own.
+export const SOUND_FILES = {
+  focusSwitch: "Focus switch",
+  relaxSwitch: "Break switch",
+  waitingSwitch: "Waiting / finished",
+  pause: "Pause",
+  focusStart: "Focus start",
+  relaxStart: "Break start",
+  countdown: "Countdown beep",
+  relaxAmbient: "Ambient track",
+  metronome: "Metronome click",
+  reminder: "Reminder chime",
 };
 
+// Cues group the sounds that the settings panel controls together.
+export const SOUND_CUES = {
+  modeSwitch: { label: "Mode switch", preview: "focusSwitch" },
+  sessionStart: { label: "Session start", preview: "focusStart" },
+  countdown: { label: "Countdown", preview: "countdown" },
+  reminder: { label: "Reminders", preview: "reminder" },
+  ambient: { label: "Ambient" },
+  metronome: { label: "Metronome", enabled: false },
+};
+
+// Packs reshape the bundled files; `paths` may point a pack at its own files.
+export const SOUND_PACKS = {
+  classic: { label: "Classic", rate: 1, gain: 1, paths: {} },
+  soft: { label: "Soft", rate: 0.85, gain: 0.6, paths: {} },
+  bright: { label: "Bright", rate: 1.25, gain: 1, paths: {} },
+};
+
+export const AMBIENCES = {
+  none: "None",
+  track: "Ambient track",
+  white: "White noise",
+  pink: "Pink noise",
+  brown: "Brown noise",
+};
+
+// Beats per accented group; 0 plays every beat the same.
+export const ACCENT_PATTERNS = {
+  0: "No accent",
+  2: "Accent every 2",
+  3: "Accent every 3",
+  4: "Accent every 4",
+};
+
+export const METRONOME_BPM = { min: 30, max: 240 };
+
+// Long breaks reuse the relax clips, slowed down so they sound deeper.
+const LONG_RELAX_RATE = 0.8;
+const PREVIEW_MS = 3000;
+const FADE_SECONDS = 1.2;
+const NOISE_SECONDS = 4;
+// A cue whose file is still decoding is dropped once it would start this late.
+const LATE_START_SECONDS = 0.3;
+// The metronome is scheduled a little ahead of the audio clock; hidden tabs
+// only run timers about once a second, so they queue further ahead.
+const SCHEDULER_MS = 25;
+const LOOKAHEAD_SECONDS = 0.2;
+const HIDDEN_LOOKAHEAD_SECONDS = 1.5;
+const ACCENT_RATE = 1.5;
+const BEAT_GAIN = 0.6;
+
+const CLIPS = {
+  focusSwitch: { file: "focusSwitch", cue: "modeSwitch", volume: 0.25 },
+  relaxSwitch: { file: "relaxSwitch", cue: "modeSwitch", volume: 0.25 },
+  waitingSwitch: { file: "waitingSwitch", cue: "modeSwitch", volume: 0.25 },
+  pause: { file: "pause", cue: "modeSwitch", volume: 0.25 },
+  focusStart: { file: "focusStart", cue: "sessionStart", volume: 0.3 },
+  relaxStart: { file: "relaxStart", cue: "sessionStart", volume: 0.25 },
+  longRelaxSwitch: {
+    file: "relaxSwitch",
+    cue: "modeSwitch",
+    volume: 0.3,
+    rate: LONG_RELAX_RATE,
+  },
+  longRelaxStart: {
+    file: "relaxStart",
+    cue: "sessionStart",
+    volume: 0.3,
+    rate: LONG_RELAX_RATE,
+  },
+  countdown: { file: "countdown", cue: "countdown", volume: 0.25 },
+  reminder: { file: "reminder", cue: "reminder", volume: 0.3 },
+};
+
+const AMBIENT_TRACK = { file: "relaxAmbient", cue: "ambient", volume: 0.2 };
+const NOISE = { file: null, cue: "ambient", volume: 0.1 };
+const METRONOME_CLICK = { file: "metronome", cue: "metronome", volume: 0.35 };
+
+const DEFAULT_CUE = { enabled: true, volume: 1 };
+const DEFAULT_METRONOME = { bpm: 60, accentEvery: 4 };
+const DEFAULT_AMBIENCE = { focus: "none", relax: "track" };
+
+let customUrls = {};
+let previewVoice = null;
+let previewLoop = null;
+let previewMetronome = null;
+let previewTimeout = null;
+
+let audioContext = null;
+// Decoded files by URL, and generated noise by colour.
+const bufferCache = new Map();
+// One-shot sounds that are playing or scheduled, so they can be cut short.
+const voices = new Set();
+// Countdown beeps scheduled for the phase that ends at `endsAt`.
+let countdown = { endsAt: null, voices: [] };
+// The loop of the current phase: { kind, phase, active, gain, source, ... }.
+let ambient = null;
+let metronome = null;
+
 let isSoundEnabled = getPreferences().sound;
+let soundSettings = getSoundSettings();
 
-// 🔹 новый флаг – уже "разлочили" отложенные звуки или нет
-let deferredSoundsPrimed = false;
+preloadBuffers();
+loadCustomSounds();
 
 // синхронизация с переключателем звука в сайдбаре
 onStateEvent("preferences:change", (event) => {
   isSoundEnabled = event.detail.preferences.sound;
+  const previousPack = soundSettings.pack;
+  soundSettings = getSoundSettings();
+
+  if (soundSettings.pack !== previousPack) {
+    bufferCache.clear();
+    preloadBuffers();
+    restartAmbientTrack();
+  }
+  if (metronome) {
+    fadeTo(metronome.gain, clipVolume(METRONOME_CLICK), 0.1);
+  }
 
+  if (!isCueEnabled("metronome")) stopMetronome();
+  if (!isCueEnabled("countdown")) stopCountdownSound();
+  if (ambient && ambient.active) {
+    // A changed choice for the running phase is swapped in straight away.
+    startAmbient(ambient.phase);
+  }
   if (!isSoundEnabled) {
-    stopRelaxAmbient();
     stopAllOneShots();
   }
 });
 
-function createAudio(path, volume, loop = false) {
-  const audio = new Audio(path);
-  audio.preload = "auto";
-  audio.volume = volume;
-  audio.loop = loop;
-  return audio;
+onCustomSoundEvent("sounds:change", () => loadCustomSounds());
+
+// Preferences only hold what the user changed; nested groups are merged one
+// by one so a stored cue without a volume still gets the default.
+export function getSoundSettings() {
+  const stored = getPreferences().soundSettings || {};
+  const storedCues = stored.cues || {};
+  return {
+    masterVolume: stored.masterVolume ?? 1,
+    pack: SOUND_PACKS[stored.pack] ? stored.pack : "classic",
+    cues: Object.fromEntries(
+      Object.entries(SOUND_CUES).map(([cue, { enabled = true }]) => [
+        cue,
+        { ...DEFAULT_CUE, enabled, ...(storedCues[cue] || {}) },
+      ])
+    ),
+    metronome: { ...DEFAULT_METRONOME, ...(stored.metronome || {}) },
+    ambience: { ...DEFAULT_AMBIENCE, ...(stored.ambience || {}) },
+  };
 }
 
-function playClip(audio) {
-  if (!isSoundEnabled || !audio) return;
-  audio.currentTime = 0;
-  const p = audio.play();
-  if (p && typeof p.catch === "function") {
-    p.catch(() => {});
+async function loadCustomSounds() {
+  let entries = [];
+  try {
+    entries = await getCustomSounds();
+  } catch (error) {
+    // Without stored uploads the bundled sounds play.
   }
+  Object.values(customUrls).forEach((url) => URL.revokeObjectURL(url));
+  customUrls = Object.fromEntries(
+    entries.map((entry) => [entry.key, URL.createObjectURL(entry.blob)])
+  );
+  bufferCache.clear();
+  preloadBuffers();
+  restartAmbientTrack();
 }
 
-function stopAllOneShots() {
-  Object.values(audioBank).forEach((audio) => {
-    if (audio.loop) return;
-    audio.pause();
-    audio.currentTime = 0;
+// A running ambient track restarts from the file and rate now in effect.
+function restartAmbientTrack() {
+  if (!ambient || !ambient.active || ambient.kind !== "track") return;
+  const { phase } = ambient;
+  disposeLoop(ambient);
+  startAmbient(phase);
+}
+
+// Uploaded files play as recorded; the pack only reshapes bundled ones.
+function resolvePath(file) {
+  const pack = SOUND_PACKS[soundSettings.pack];
+  return customUrls[file] || pack.paths[file] || SOUND_PATHS[file];
+}
+
+function resolveRate(clip) {
+  const packRate = customUrls[clip.file]
+    ? 1
+    : SOUND_PACKS[soundSettings.pack].rate;
+  return (clip.rate || 1) * packRate;
+}
+
+function clipVolume(clip, settings = soundSettings) {
+  const gain = customUrls[clip.file] ? 1 : SOUND_PACKS[settings.pack].gain;
+  const volume =
+    clip.volume * gain * settings.cues[clip.cue].volume * settings.masterVolume;
+  return Math.min(1, Math.max(0, volume));
+}
+
+function ambientVolume(kind) {
+  return clipVolume(kind === "track" ? AMBIENT_TRACK : NOISE);
+}
+
+function isCueEnabled(cue) {
+  return isSoundEnabled && soundSettings.cues[cue].enabled;
+}
+
+/* ---------- Web Audio ---------- */
+
+// The context may start suspended until the first click; decoding works
+// regardless, so files are ready by the time anything plays.
+function getAudioContext() {
+  if (!audioContext) {
+    const Context =
+      typeof window !== "undefined" &&
+      (window.AudioContext || window.webkitAudioContext);
+    if (!Context) return null;
+    audioContext = new Context();
+  }
+  return audioContext;
+}
+
+function fadeTo(gainNode, value, seconds = FADE_SECONDS) {
+  const { currentTime } = gainNode.context;
+  gainNode.gain.cancelScheduledValues(currentTime);
+  gainNode.gain.setValueAtTime(gainNode.gain.value, currentTime);
+  gainNode.gain.linearRampToValueAtTime(value, currentTime + seconds);
+}
+
+function loadBuffer(key, create) {
+  if (!bufferCache.has(key)) {
+    const promise = create();
+    promise.catch(() => bufferCache.delete(key));
+    bufferCache.set(key, promise);
+  }
+  return bufferCache.get(key);
+}
+
+function loadFileBuffer(context, url) {
+  return loadBuffer(url, async () => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url}`);
+    return context.decodeAudioData(await response.arrayBuffer());
   });
 }
 
-/* ---------- priming для мобилок ---------- */
+function preloadBuffers() {
+  const context = getAudioContext();
+  if (!context) return;
+  new Set(Object.values(CLIPS).map((clip) => clip.file)).forEach((file) => {
+    // A clip that fails here is fetched again when it is played.
+    loadFileBuffer(context, resolvePath(file)).catch(() => {});
+  });
+}
 
-// вызываем один раз из обработчика клика (через timer.js)
-export function primeDeferredSounds() {
-  if (deferredSoundsPrimed) return;
-  deferredSoundsPrimed = true;
-
-  const keysToPrime = ["countdown", "relaxAmbient"];
-
-  keysToPrime.forEach((key) => {
-    const audio = audioBank[key];
-    if (!audio) return;
-
-    const wasMuted = audio.muted;
-    audio.muted = true; // чтобы пользователь не слышал "тычок"
-    audio.currentTime = 0;
-
-    const p = audio.play();
-    if (p && typeof p.then === "function") {
-      p.then(() => {
-        audio.pause();
-        audio.currentTime = 0;
-        audio.muted = wasMuted;
-      }).catch(() => {
-        audio.pause();
-        audio.currentTime = 0;
-        audio.muted = wasMuted;
-      });
+// Plays a clip on its own source at audio-clock time `when` (now when 0).
+// Returns a voice that stopVoice() can cancel before or while it plays.
+function playVoice(key, when = 0) {
+  const context = getAudioContext();
+  if (!context) return null;
+  const clip = CLIPS[key];
+  const startAt = Math.max(when, context.currentTime);
+  const voice = { gain: context.createGain(), source: null, cancelled: false };
+  voice.gain.gain.value = clipVolume(clip);
+  voice.gain.connect(context.destination);
+  voices.add(voice);
+
+  loadFileBuffer(context, resolvePath(clip.file))
+    .then((buffer) => {
+      if (
+        voice.cancelled ||
+        context.currentTime > startAt + LATE_START_SECONDS
+      ) {
+        stopVoice(voice);
+        return;
+      }
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.playbackRate.value = resolveRate(clip);
+      source.connect(voice.gain);
+      source.onended = () => stopVoice(voice);
+      source.start(Math.max(startAt, context.currentTime));
+      voice.source = source;
+    })
+    .catch(() => stopVoice(voice));
+
+  return voice;
+}
+
+function stopVoice(voice) {
+  if (!voice || !voices.has(voice)) return;
+  voices.delete(voice);
+  voice.cancelled = true;
+  if (voice.source) {
+    voice.source.onended = null;
+    voice.source.stop();
+  }
+  voice.gain.disconnect();
+}
+
+function playClip(key, when = 0) {
+  if (!isCueEnabled(CLIPS[key].cue)) return null;
+  return playVoice(key, when);
+}
+
+function stopAllOneShots() {
+  voices.forEach((voice) => stopVoice(voice));
+  countdown = { endsAt: null, voices: [] };
+}
+
+function loadAmbientBuffer(context, kind) {
+  if (kind === "track") {
+    return loadFileBuffer(context, resolvePath(AMBIENT_TRACK.file));
+  }
+  return loadBuffer(`noise:${kind}`, async () =>
+    createNoiseBuffer(context, kind)
+  );
+}
+
+// A few seconds of noise, looped. Pink uses Paul Kellet's economy filter,
+// brown integrates white noise with a small leak so it stays centred.
+function createNoiseBuffer(context, kind) {
+  const length = context.sampleRate * NOISE_SECONDS;
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  let last = 0;
+
+  for (let i = 0; i < length; i += 1) {
+    const white = Math.random() * 2 - 1;
+    if (kind === "pink") {
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.25;
+    } else if (kind === "brown") {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
     } else {
-      audio.pause();
-      audio.currentTime = 0;
-      audio.muted = wasMuted;
+      data[i] = white;
     }
-  });
+  }
+  return buffer;
+}
+
+// Starts a looping ambience that fades in; the source is attached as soon as
+// its buffer is ready.
+function createLoop(context, kind, volume) {
+  const loop = {
+    kind,
+    phase: null,
+    active: true,
+    disposed: false,
+    gain: context.createGain(),
+    source: null,
+    stopTimeout: null,
+  };
+  loop.gain.gain.value = 0;
+  loop.gain.connect(context.destination);
+
+  loadAmbientBuffer(context, kind)
+    .then((buffer) => {
+      if (loop.disposed) return;
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      if (kind === "track") {
+        source.playbackRate.value = resolveRate(AMBIENT_TRACK);
+      }
+      source.connect(loop.gain);
+      source.start();
+      loop.source = source;
+    })
+    // A track that can't be loaded leaves the loop silent.
+    .catch(() => {});
+
+  fadeTo(loop.gain, volume);
+  return loop;
+}
+
+function fadeOutLoop(loop) {
+  loop.active = false;
+  fadeTo(loop.gain, 0);
+  clearTimeout(loop.stopTimeout);
+  loop.stopTimeout = setTimeout(() => disposeLoop(loop), FADE_SECONDS * 1000);
+}
+
+function disposeLoop(loop) {
+  loop.disposed = true;
+  loop.active = false;
+  clearTimeout(loop.stopTimeout);
+  if (loop.source) loop.source.stop();
+  loop.gain.disconnect();
+  if (ambient === loop) ambient = null;
+}
+
+function scheduleBeats(run) {
+  const { context } = run.gain;
+  const lookahead =
+    typeof document !== "undefined" && document.hidden
+      ? HIDDEN_LOOKAHEAD_SECONDS
+      : LOOKAHEAD_SECONDS;
+  const { bpm, accentEvery } = soundSettings.metronome;
+
+  while (run.nextBeatTime < context.currentTime + lookahead) {
+    const accent = accentEvery > 0 && run.beat % accentEvery === 0;
+    scheduleClick(run, run.nextBeatTime, accent);
+    run.nextBeatTime += 60 / bpm;
+    run.beat += 1;
+  }
+}
+
+// Uses the click sample once it is decoded; until then (or if it cannot be
+// decoded) a short synthesized blip stands in.
+function scheduleClick(run, time, accent) {
+  const { context } = run.gain;
+  const level = context.createGain();
+  level.connect(run.gain);
+
+  let source;
+  if (run.buffer) {
+    source = context.createBufferSource();
+    source.buffer = run.buffer;
+    source.playbackRate.value =
+      resolveRate(METRONOME_CLICK) * (accent ? ACCENT_RATE : 1);
+    level.gain.value = accent ? 1 : BEAT_GAIN;
+  } else {
+    source = context.createOscillator();
+    source.frequency.value = accent ? 1760 : 1320;
+    level.gain.setValueAtTime(accent ? 1 : BEAT_GAIN, time);
+    level.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+  }
+  source.connect(level);
+  source.onended = () => level.disconnect();
+  source.start(time);
+  // A source can only be told when to stop once it has been started.
+  if (!run.buffer) source.stop(time + 0.06);
+}
+
+function startMetronomeRun(context) {
+  const run = {
+    gain: context.createGain(),
+    buffer: null,
+    beat: 0,
+    nextBeatTime: context.currentTime + 0.05,
+    timer: null,
+  };
+  run.gain.gain.value = clipVolume(METRONOME_CLICK);
+  run.gain.connect(context.destination);
+
+  loadFileBuffer(context, resolvePath(METRONOME_CLICK.file))
+    .then((buffer) => {
+      run.buffer = buffer;
+    })
+    .catch(() => {});
+
+  scheduleBeats(run);
+  run.timer = setInterval(() => scheduleBeats(run), SCHEDULER_MS);
+  return run;
+}
+
+// Clicks already queued ahead are faded out rather than left to play.
+function stopMetronomeRun(run) {
+  clearInterval(run.timer);
+  fadeTo(run.gain, 0, 0.05);
+  setTimeout(() => run.gain.disconnect(), 200);
 }
 
-/* --------- Public API (без метронома) ------- */
+/* --------- Public API ------- */
+
+// Browsers keep an AudioContext suspended until a user gesture and may
+// suspend it again in the background, so every click resumes it.
+export function primeDeferredSounds() {
+  const context = getAudioContext();
+  if (context && context.state === "suspended") {
+    context.resume().catch(() => {});
+  }
+}
 
 export function playModeSwitchSound(mode) {
   if (mode === "focus") {
-    playClip(audioBank.focusSwitch);
+    playClip("focusSwitch");
     return;
   }
   if (mode === "relax") {
-    playClip(audioBank.relaxSwitch);
+    playClip("relaxSwitch");
+    return;
+  }
+  if (mode === "longRelax") {
+    playClip("longRelaxSwitch");
     return;
   }
   if (mode === "waiting" || mode === "ready") {
-    playClip(audioBank.waitingSwitch);
+    playClip("waitingSwitch");
     return;
   }
   if (mode === "paused") {
-    playClip(audioBank.pause);
+    playClip("pause");
   }
 }
 
 export function playSessionStartSound(mode) {
   if (mode === "focus") {
-    playClip(audioBank.focusStart);
+    playClip("focusStart");
     return;
   }
   if (mode === "relax") {
-    playClip(audioBank.relaxStart);
+    playClip("relaxStart");
+    return;
+  }
+  if (mode === "longRelax") {
+    playClip("longRelaxStart");
   }
 }
 
 export function playPauseSound() {
-  playClip(audioBank.pause);
+  playClip("pause");
 }
 
-export function playCountdownSound() {
-  playClip(audioBank.countdown);
+// "N minutes left" and halfway chimes.
+export function playReminderSound() {
+  playClip("reminder");
+}
+
+// Queues one beep per second before `endsAt` (epoch ms) on the audio clock,
+// skipping beeps that are already due. Asking again for the same end is a
+// no-op; a new end replaces the beeps of the old one.
+export function scheduleCountdown(endsAt, beats) {
+  if (countdown.endsAt === endsAt) return;
+  stopCountdownSound();
+  const context = getAudioContext();
+  if (!context || !isCueEnabled("countdown")) return;
+
+  // Wall-clock milliseconds mapped onto the audio clock at this instant.
+  const offset = context.currentTime - Date.now() / 1000;
+  countdown.endsAt = endsAt;
+  for (let beat = beats; beat >= 1; beat -= 1) {
+    const when = (endsAt - beat * 1000) / 1000 + offset;
+    if (when < context.currentTime - 0.05) continue;
+    countdown.voices.push(playClip("countdown", when));
+  }
 }
 
 export function stopCountdownSound() {
-  const a = audioBank.countdown;
-  a.pause();
-  a.currentTime = 0;
+  countdown.voices.forEach((voice) => stopVoice(voice));
+  countdown = { endsAt: null, voices: [] };
 }
 
-//  метроном отключен: оставляем заглушки
-export function startMetronome() {}
-export function stopMetronome() {}
+// Plays a cue at its current volume, ignoring mute so the user can hear what
+// they are adjusting. Loops and the metronome stop after a few seconds.
+export function previewCue(cue) {
+  stopPreview();
+  const context = getAudioContext();
+  if (!context) return;
+  primeDeferredSounds();
 
-// Фон
-export function startRelaxAmbient() {
-  if (!isSoundEnabled) return;
-  const a = audioBank.relaxAmbient;
-  try {
-    a.play();
-  } catch (e) {}
+  if (cue === "metronome") {
+    previewMetronome = startMetronomeRun(context);
+  } else if (cue === "ambient") {
+    const { focus, relax } = soundSettings.ambience;
+    const kind = [relax, focus].find((value) => value !== "none") || "track";
+    previewLoop = createLoop(context, kind, ambientVolume(kind));
+  } else {
+    previewVoice = playVoice(SOUND_CUES[cue].preview);
+  }
+  previewTimeout = setTimeout(stopPreview, PREVIEW_MS);
+}
+
+function stopPreview() {
+  clearTimeout(previewTimeout);
+  if (previewVoice) {
+    stopVoice(previewVoice);
+    previewVoice = null;
+  }
+  if (previewLoop) {
+    fadeOutLoop(previewLoop);
+    previewLoop = null;
+  }
+  if (previewMetronome) {
+    stopMetronomeRun(previewMetronome);
+    previewMetronome = null;
+  }
+}
+
+// Метроном: clicks at the configured tempo while focus runs.
+export function startMetronome() {
+  const context = getAudioContext();
+  if (!context || !isCueEnabled("metronome")) return;
+  stopMetronome();
+  metronome = startMetronomeRun(context);
+}
+
+export function stopMetronome() {
+  if (!metronome) return;
+  stopMetronomeRun(metronome);
+  metronome = null;
+}
+
+// Ambience: focus and breaks each have their own choice. Changing sounds
+// crossfade; when the next phase (or a resume) asks for the sound that is
+// still fading out, it fades back in instead of starting over.
+export function startAmbient(phase) {
+  const kind = soundSettings.ambience[phase === "focus" ? "focus" : "relax"];
+  const context = getAudioContext();
+  if (!context || kind === "none" || !isCueEnabled("ambient")) {
+    stopAmbient();
+    return;
+  }
+
+  if (ambient && ambient.kind === kind && !ambient.disposed) {
+    clearTimeout(ambient.stopTimeout);
+    ambient.active = true;
+    fadeTo(ambient.gain, ambientVolume(kind));
+  } else {
+    stopAmbient();
+    ambient = createLoop(context, kind, ambientVolume(kind));
+  }
+  ambient.phase = phase;
 }
 
-export function stopRelaxAmbient() {
-  const a = audioBank.relaxAmbient;
-  a.pause();
-  a.currentTime = 0;
+export function stopAmbient() {
+  if (ambient && ambient.active) fadeOutLoop(ambient);
 }
@@ -0,0 +1,261 @@
+// soundpanel.js
+// Sound section of the sidebar: volumes, cue toggles, metronome, ambience, packs and custom uploads.
+
+import { updatePreferences, onStateEvent } from "./state.js";
+import {
+  ACCENT_PATTERNS,
+  AMBIENCES,
+  METRONOME_BPM,
+  SOUND_CUES,
+  SOUND_FILES,
+  SOUND_PACKS,
+  getSoundSettings,
+  previewCue,
+} from "./sound.js";
+import {
+  getCustomSounds,
+  saveCustomSound,
+  deleteCustomSound,
+  onCustomSoundEvent,
+} from "./customsounds.js";
+import { showToast } from "./toast.js";
+
+export function initSoundPanel() {
+  const masterVolume = document.getElementById("master-volume");
+  const packSelect = document.getElementById("sound-pack");
+  const cueList = document.getElementById("sound-cue-list");
+  const bpmInput = document.getElementById("metronome-bpm");
+  const accentSelect = document.getElementById("metronome-accent");
+  const ambienceSelects = document.querySelectorAll("[data-ambience]");
+  const customTarget = document.getElementById("custom-sound-target");
+  const customFile = document.getElementById("custom-sound-file");
+  const customList = document.getElementById("custom-sound-list");
+
+  packSelect.replaceChildren(
+    ...Object.entries(SOUND_PACKS).map(([id, pack]) =>
+      createOption(id, pack.label)
+    )
+  );
+  customTarget.replaceChildren(
+    ...Object.entries(SOUND_FILES).map(([key, label]) =>
+      createOption(key, label)
+    )
+  );
+  accentSelect.replaceChildren(
+    ...Object.entries(ACCENT_PATTERNS).map(([value, label]) =>
+      createOption(value, label)
+    )
+  );
+  ambienceSelects.forEach((select) =>
+    select.replaceChildren(
+      ...Object.entries(AMBIENCES).map(([value, label]) =>
+        createOption(value, label)
+      )
+    )
+  );
+  bpmInput.min = METRONOME_BPM.min.toString();
+  bpmInput.max = METRONOME_BPM.max.toString();
+  cueList.replaceChildren(
+    ...Object.entries(SOUND_CUES).map(([cue, { label }]) =>
+      createCueRow(cue, label)
+    )
+  );
+
+  // Controls are synced in place rather than re-rendered, so a slider being
+  // dragged keeps its focus.
+  const syncControls = () => {
+    const settings = getSoundSettings();
+    masterVolume.value = toPercent(settings.masterVolume);
+    packSelect.value = settings.pack;
+    if (document.activeElement !== bpmInput) {
+      bpmInput.value = settings.metronome.bpm;
+    }
+    accentSelect.value = settings.metronome.accentEvery.toString();
+    ambienceSelects.forEach((select) => {
+      select.value = settings.ambience[select.dataset.ambience];
+    });
+    cueList.querySelectorAll(".cue-row").forEach((row) => {
+      const cue = settings.cues[row.dataset.cue];
+      row.querySelector("[data-cue-enabled]").checked = cue.enabled;
+      row.querySelector("[data-cue-volume]").value = toPercent(cue.volume);
+    });
+  };
+
+  masterVolume.addEventListener("input", () => {
+    updateSoundSettings({ masterVolume: Number(masterVolume.value) / 100 });
+  });
+
+  packSelect.addEventListener("change", () => {
+    updateSoundSettings({ pack: packSelect.value });
+    previewCue("modeSwitch");
+  });
+
+  bpmInput.addEventListener("change", () => {
+    const bpm = Math.round(Number(bpmInput.value));
+    const clamped = Number.isFinite(bpm)
+      ? Math.min(METRONOME_BPM.max, Math.max(METRONOME_BPM.min, bpm))
+      : getSoundSettings().metronome.bpm;
+    bpmInput.value = clamped;
+    updateMetronome({ bpm: clamped });
+  });
+
+  accentSelect.addEventListener("change", () => {
+    updateMetronome({ accentEvery: Number(accentSelect.value) });
+  });
+
+  ambienceSelects.forEach((select) => {
+    select.addEventListener("change", () => {
+      updateSoundSettings({
+        ambience: {
+          ...getSoundSettings().ambience,
+          [select.dataset.ambience]: select.value,
+        },
+      });
+    });
+  });
+
+  cueList.addEventListener("input", (event) => {
+    const input = event.target.closest("[data-cue-volume]");
+    if (!input) return;
+    updateCue(input.dataset.cueVolume, { volume: Number(input.value) / 100 });
+  });
+
+  cueList.addEventListener("change", (event) => {
+    const toggle = event.target.closest("[data-cue-enabled]");
+    if (!toggle) return;
+    updateCue(toggle.dataset.cueEnabled, { enabled: toggle.checked });
+  });
+
+  cueList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-cue-preview]");
+    if (button) previewCue(button.dataset.cuePreview);
+  });
+
+  customFile.addEventListener("change", async () => {
+    const [file] = customFile.files;
+    customFile.value = "";
+    if (!file) return;
+    try {
+      await saveCustomSound(customTarget.value, file);
+      showToast(`${SOUND_FILES[customTarget.value]} replaced`);
+    } catch (error) {
+      showToast(error.message || "Could not save the sound");
+    }
+  });
+
+  customList.addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-remove-sound]");
+    if (!button) return;
+    try {
+      await deleteCustomSound(button.dataset.removeSound);
+      showToast("Bundled sound restored");
+    } catch (error) {
+      showToast("Could not remove the sound");
+    }
+  });
+
+  onStateEvent("preferences:change", () => syncControls());
+  onCustomSoundEvent("sounds:change", () => renderCustomSounds(customList));
+  syncControls();
+  renderCustomSounds(customList);
+}
+
+function updateSoundSettings(changes) {
+  updatePreferences({
+    soundSettings: { ...getSoundSettings(), ...changes },
+  });
+}
+
+function updateCue(cue, changes) {
+  const settings = getSoundSettings();
+  updateSoundSettings({
+    cues: { ...settings.cues, [cue]: { ...settings.cues[cue], ...changes } },
+  });
+}
+
+function updateMetronome(changes) {
+  updateSoundSettings({
+    metronome: { ...getSoundSettings().metronome, ...changes },
+  });
+}
+
+function toPercent(volume) {
+  return Math.round(volume * 100).toString();
+}
+
+function createOption(value, label) {
+  const option = document.createElement("option");
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+function createCueRow(cue, label) {
+  const row = document.createElement("li");
+  row.className = "cue-row";
+  row.dataset.cue = cue;
+
+  const toggle = document.createElement("label");
+  toggle.className = "switch";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.dataset.cueEnabled = cue;
+  const slider = document.createElement("span");
+  slider.className = "slider";
+  const text = document.createElement("span");
+  text.className = "switch-label";
+  text.textContent = label;
+  toggle.append(checkbox, slider, text);
+
+  const volume = document.createElement("input");
+  volume.className = "range-input";
+  volume.type = "range";
+  volume.min = "0";
+  volume.max = "100";
+  volume.step = "5";
+  volume.dataset.cueVolume = cue;
+  volume.setAttribute("aria-label", `${label} volume`);
+
+  const preview = document.createElement("button");
+  preview.className = "plan-action";
+  preview.dataset.cuePreview = cue;
+  preview.textContent = "▶";
+  preview.title = `Preview ${label.toLowerCase()}`;
+  preview.setAttribute("aria-label", preview.title);
+
+  row.append(toggle, volume, preview);
+  return row;
+}
+
+async function renderCustomSounds(listNode) {
+  let entries = [];
+  try {
+    entries = await getCustomSounds();
+  } catch (error) {
+    // An unreadable store lists nothing to remove.
+  }
+
+  listNode.hidden = entries.length === 0;
+  listNode.replaceChildren(
+    ...entries.map((entry) => {
+      const item = document.createElement("li");
+      item.className = "custom-sound-item";
+
+      const name = document.createElement("span");
+      name.className = "custom-sound-name";
+      name.textContent = `${SOUND_FILES[entry.key] || entry.key}: ${
+        entry.name
+      }`;
+
+      const remove = document.createElement("button");
+      remove.className = "plan-action";
+      remove.dataset.removeSound = entry.key;
+      remove.textContent = "✕";
+      remove.title = "Use the bundled sound again";
+      remove.setAttribute("aria-label", `Remove ${entry.name}`);
+
+      item.append(name, remove);
+      return item;
+    })
+  );
+}
@@ -1,28 +1,274 @@
 // state.js
 // Keeps plan configuration, user preferences, and theme information decoupled from UI.
 
+import { SEGMENT_SOUNDS, SEGMENT_TYPES, normalizeSegment } from "./sequence.js";
+
 const DEFAULT_PLAN = {
   focusMinutes: 1,
   relaxMinutes: 1,
   cycles: 4,
+  longBreakMinutes: 15,
+  longBreakInterval: 4, // long break after every Nth cycle, 0 turns it off
+  segments: null, // optional ordered list overriding the focus/relax cycles
 };
 
 const DEFAULT_PREFERENCES = {
   autoCycle: true,
   sound: true,
+  liveTitle: true, // remaining time in the document title
+  liveFavicon: true, // progress ring in the tab icon
+  keymap: {}, // shortcut keys the user rebound, by action id
+  notifications: {}, // desktop notification opt-in and per-event toggles
+  soundSettings: {}, // master volume, sound pack and per-cue overrides
+  alerts: {}, // countdown and reminder overrides by phase type
+  dailyGoal: {}, // daily focus target overrides: on/off, unit and amount
+  dayStartHour: 0, // hour a new day starts for stats, goals and streaks
+};
+
+// The preferences a saved plan carries; everything else (keys, and whatever
+// comes later) stays as the user set it when a plan is loaded.
+const PLAN_PREFERENCE_KEYS = ["autoCycle", "sound"];
+
+// Allowed ranges for plan numbers, shared by the pickers and plan links.
+export const PLAN_LIMITS = {
+  focusMinutes: { min: 5, max: 120 },
+  relaxMinutes: { min: 1, max: 60 },
+  cycles: { min: 1, max: 12 },
+  longBreakMinutes: { min: 5, max: 60 },
+  longBreakInterval: { min: 0, max: 12 },
+  segmentMinutes: { min: 1, max: 180 },
 };
 
+export const THEMES = ["night", "day"];
+
 const THEME_KEY = "pomodoro-theme";
+const PLAN_KEY = "pomodoro-plan";
+const PREFERENCES_KEY = "pomodoro-preferences";
+const SAVED_PLANS_KEY = "pomodoro-plans";
+const VERSION_KEY = "pomodoro-settings-version";
+
+// Version of the stored plan, preferences, theme and saved plans. Changing
+// their shape means bumping it and adding a migration below.
+const SETTINGS_VERSION = 2;
+
+export class SettingsError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = "SettingsError";
+    this.field = field;
+  }
+}
+
+/* ---------- schema ---------- */
+
+// Each rule returns the normalized value or throws a SettingsError. Plan
+// minutes only have to be runnable; the pickers offer narrower ranges.
+const PLAN_SCHEMA = {
+  focusMinutes: numberRule(PLAN_LIMITS.segmentMinutes),
+  relaxMinutes: numberRule(PLAN_LIMITS.segmentMinutes),
+  cycles: numberRule(PLAN_LIMITS.cycles, { whole: true }),
+  longBreakMinutes: numberRule(PLAN_LIMITS.segmentMinutes),
+  longBreakInterval: numberRule(PLAN_LIMITS.longBreakInterval, {
+    whole: true,
+  }),
+  segments: segmentsRule,
+};
+
+// The objects belong to the modules that own them; here they only have to
+// be objects.
+const PREFERENCES_SCHEMA = {
+  autoCycle: flagRule,
+  sound: flagRule,
+  liveTitle: flagRule,
+  liveFavicon: flagRule,
+  keymap: recordRule,
+  notifications: recordRule,
+  soundSettings: recordRule,
+  alerts: recordRule,
+  dailyGoal: recordRule,
+  dayStartHour: numberRule({ min: 0, max: 23 }, { whole: true }),
+};
+
+function numberRule({ min, max }, { whole = false } = {}) {
+  return (value, field, path = field) => {
+    const valid =
+      Number.isFinite(value) &&
+      (!whole || Number.isInteger(value)) &&
+      value >= min &&
+      value <= max;
+    if (!valid) {
+      throw new SettingsError(
+        `${path} must be a ${whole ? "whole " : ""}number from ${min} to ${max}`,
+        field
+      );
+    }
+    return value;
+  };
+}
+
+function flagRule(value, field) {
+  if (typeof value !== "boolean") {
+    throw new SettingsError(`${field} must be true or false`, field);
+  }
+  return value;
+}
+
+function recordRule(value, field) {
+  if (!isRecord(value)) {
+    throw new SettingsError(`${field} must be an object`, field);
+  }
+  return { ...value };
+}
+
+// An empty list means no custom sequence, the same as null.
+function segmentsRule(value, field) {
+  if (value === null || value === undefined) return null;
+  if (!Array.isArray(value)) {
+    throw new SettingsError(`${field} must be a list or null`, field);
+  }
+  const checkMinutes = numberRule(PLAN_LIMITS.segmentMinutes);
+  const segments = value.map((segment, index) => {
+    const path = `${field}[${index}]`;
+    if (!isRecord(segment) || !SEGMENT_TYPES.includes(segment.type)) {
+      throw new SettingsError(`${path}.type is unknown`, field);
+    }
+    checkMinutes(segment.minutes, field, `${path}.minutes`);
+    if (segment.label !== undefined && typeof segment.label !== "string") {
+      throw new SettingsError(`${path}.label must be text`, field);
+    }
+    if (
+      segment.sound !== undefined &&
+      !SEGMENT_SOUNDS.includes(segment.sound)
+    ) {
+      throw new SettingsError(`${path}.sound is unknown`, field);
+    }
+    return normalizeSegment(segment);
+  });
+  return segments.length ? segments : null;
+}
+
+// Checks the known fields of `values` and returns a normalized copy. Strict
+// callers get a SettingsError for the first bad value; lenient ones (stored
+// or synced data) drop it so the default shows through. Unknown fields pass
+// untouched, so settings a newer version wrote survive a round trip here.
+function applySchema(schema, values, { strict = true } = {}) {
+  if (!isRecord(values)) {
+    if (strict) throw new SettingsError("Settings must be an object");
+    return {};
+  }
+  const result = {};
+  Object.entries(values).forEach(([field, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      result[field] = value;
+      return;
+    }
+    try {
+      result[field] = schema[field](value, field);
+    } catch (error) {
+      if (strict || !(error instanceof SettingsError)) throw error;
+    }
+  });
+  return result;
+}
+
+export function validatePlan(values) {
+  return applySchema(PLAN_SCHEMA, values);
+}
+
+export function validatePreferences(values) {
+  return applySchema(PREFERENCES_SCHEMA, values);
+}
+
+export function validateTheme(value) {
+  if (!THEMES.includes(value)) {
+    throw new SettingsError(
+      `theme must be one of ${THEMES.join(", ")}`,
+      "theme"
+    );
+  }
+  return value;
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/* ---------- migrations ---------- */
+
+// MIGRATIONS[n] turns version n settings into version n + 1. Each one gets
+// and returns { plan, preferences, theme, savedPlans } as stored, any of
+// which may be missing. Storage without a version is version 1.
+const MIGRATIONS = {
+  // Version 1 stored whatever it was handed, unchecked: bad values give way
+  // to defaults, and saved plans without a plan are dropped.
+  1: ({ plan, preferences, theme, savedPlans }) => ({
+    plan: plan && applySchema(PLAN_SCHEMA, plan, { strict: false }),
+    preferences:
+      preferences &&
+      applySchema(PREFERENCES_SCHEMA, preferences, { strict: false }),
+    theme: THEMES.includes(theme) ? theme : null,
+    savedPlans: Array.isArray(savedPlans)
+      ? savedPlans
+          .filter((entry) => isRecord(entry) && isRecord(entry.plan))
+          .map(repairSavedPlan)
+      : null,
+  }),
+};
 
-let plan = { ...DEFAULT_PLAN };
-let preferences = { ...DEFAULT_PREFERENCES };
+function migrateStoredSettings() {
+  if (typeof window === "undefined") return;
+  const stored = Number(localStorage.getItem(VERSION_KEY)) || 1;
+  // Newer than this code: leave it for the version that wrote it.
+  if (stored >= SETTINGS_VERSION) return;
+
+  let settings = {
+    plan: readJson(PLAN_KEY),
+    preferences: readJson(PREFERENCES_KEY),
+    theme: localStorage.getItem(THEME_KEY),
+    savedPlans: readJson(SAVED_PLANS_KEY),
+  };
+  for (let version = stored; version < SETTINGS_VERSION; version += 1) {
+    settings = MIGRATIONS[version](settings);
+  }
+
+  if (settings.plan) saveStored(PLAN_KEY, settings.plan);
+  else localStorage.removeItem(PLAN_KEY);
+  if (settings.preferences) saveStored(PREFERENCES_KEY, settings.preferences);
+  else localStorage.removeItem(PREFERENCES_KEY);
+  if (settings.theme) saveTheme(settings.theme);
+  else localStorage.removeItem(THEME_KEY);
+  if (settings.savedPlans) saveStored(SAVED_PLANS_KEY, settings.savedPlans);
+  else localStorage.removeItem(SAVED_PLANS_KEY);
+  localStorage.setItem(VERSION_KEY, String(SETTINGS_VERSION));
+}
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null");
+  } catch (error) {
+    return null;
+  }
+}
+
+/* ---------- state ---------- */
+
+migrateStoredSettings();
+
+let plan = loadStored(PLAN_KEY, DEFAULT_PLAN, PLAN_SCHEMA);
+let preferences = loadStored(
+  PREFERENCES_KEY,
+  DEFAULT_PREFERENCES,
+  PREFERENCES_SCHEMA
+);
 let theme = loadTheme();
+let savedPlans = loadSavedPlans();
 
 const stateEvents = new EventTarget();
 
 function loadTheme() {
   if (typeof window === "undefined") return "night";
-  return localStorage.getItem(THEME_KEY) || "night";
+  const stored = localStorage.getItem(THEME_KEY);
+  return THEMES.includes(stored) ? stored : "night";
 }
 
 function saveTheme(nextTheme) {
@@ -30,15 +276,77 @@ function saveTheme(nextTheme) {
   localStorage.setItem(THEME_KEY, nextTheme);
 }
 
+// Stored objects are merged over defaults so newly added keys still get values.
+function loadStored(key, defaults, schema) {
+  if (typeof window === "undefined") return { ...defaults };
+  return {
+    ...defaults,
+    ...applySchema(schema, readJson(key), { strict: false }),
+  };
+}
+
+function saveStored(key, value) {
+  if (typeof window === "undefined") return;
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+function loadSavedPlans() {
+  if (typeof window === "undefined") return [];
+  const parsed = readJson(SAVED_PLANS_KEY);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+function persistSavedPlans() {
+  if (typeof window === "undefined") return;
+  localStorage.setItem(SAVED_PLANS_KEY, JSON.stringify(savedPlans));
+}
+
+function createPlanId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Plans saved by earlier versions hold every preference; only the plan's own
+// come back out.
+function cloneSavedPlan(entry) {
+  return {
+    ...entry,
+    plan: { ...entry.plan },
+    preferences: pickPlanPreferences(entry.preferences),
+  };
+}
+
+function pickPlanPreferences(values = {}) {
+  return Object.fromEntries(
+    PLAN_PREFERENCE_KEYS.filter((key) => key in values).map((key) => [
+      key,
+      values[key],
+    ])
+  );
+}
+
+// Plans and preferences from imports and other devices, repaired the same
+// way stored ones are.
+function repairSavedPlan(entry) {
+  return {
+    ...entry,
+    plan: applySchema(PLAN_SCHEMA, entry.plan, { strict: false }),
+    preferences: applySchema(PREFERENCES_SCHEMA, entry.preferences, {
+      strict: false,
+    }),
+  };
+}
+
 export function getPlanSettings() {
   return { ...plan };
 }
 
+// Throws a SettingsError and changes nothing when a value is out of bounds.
 export function updatePlanSettings(nextPlan) {
   plan = {
     ...plan,
-    ...nextPlan,
+    ...validatePlan(nextPlan),
   };
+  saveStored(PLAN_KEY, plan);
   emit("plan:change", { plan: { ...plan } });
 }
 
@@ -47,7 +355,8 @@ export function getPreferences() {
 }
 
 export function updatePreferences(nextPreferences) {
-  preferences = { ...preferences, ...nextPreferences };
+  preferences = { ...preferences, ...validatePreferences(nextPreferences) };
+  saveStored(PREFERENCES_KEY, preferences);
   emit("preferences:change", { preferences: { ...preferences } });
 }
 
@@ -57,9 +366,167 @@ export function getTheme() {
 
 export function setTheme(nextTheme) {
   // Persist chosen theme for future visits
-  theme = nextTheme;
-  saveTheme(nextTheme);
-  emit("theme:change", { theme: nextTheme });
+  theme = validateTheme(nextTheme);
+  saveTheme(theme);
+  emit("theme:change", { theme });
+}
+
+export function getSavedPlans() {
+  return savedPlans.map(cloneSavedPlan);
+}
+
+export function getSavedPlan(id) {
+  const entry = savedPlans.find((item) => item.id === id);
+  return entry ? cloneSavedPlan(entry) : null;
+}
+
+// Stores a named snapshot of the plan and how it runs in the local library.
+export function savePlan(
+  name,
+  planSettings = plan,
+  planPreferences = preferences
+) {
+  const entry = {
+    id: createPlanId(),
+    name: name.trim() || "Untitled plan",
+    plan: validatePlan(planSettings),
+    preferences: validatePreferences(pickPlanPreferences(planPreferences)),
+  };
+  savedPlans = [...savedPlans, entry];
+  commitSavedPlans();
+  return cloneSavedPlan(entry);
+}
+
+export function renamePlan(id, name) {
+  const nextName = name.trim();
+  if (!nextName) return;
+  savedPlans = savedPlans.map((item) =>
+    item.id === id ? { ...item, name: nextName } : item
+  );
+  commitSavedPlans();
+}
+
+export function duplicatePlan(id) {
+  const index = savedPlans.findIndex((item) => item.id === id);
+  if (index === -1) return null;
+  const copy = {
+    ...cloneSavedPlan(savedPlans[index]),
+    id: createPlanId(),
+    name: savedPlans[index].name + " (copy)",
+  };
+  savedPlans = [
+    ...savedPlans.slice(0, index + 1),
+    copy,
+    ...savedPlans.slice(index + 1),
+  ];
+  commitSavedPlans();
+  return cloneSavedPlan(copy);
+}
+
+export function deletePlan(id) {
+  savedPlans = savedPlans.filter((item) => item.id !== id);
+  commitSavedPlans();
+}
+
+export function moveSavedPlan(id, toIndex) {
+  const index = savedPlans.findIndex((item) => item.id === id);
+  if (index === -1) return;
+  const target = Math.min(savedPlans.length - 1, Math.max(0, toIndex));
+  if (target === index) return;
+  const next = [...savedPlans];
+  const [entry] = next.splice(index, 1);
+  next.splice(target, 0, entry);
+  savedPlans = next;
+  commitSavedPlans();
+}
+
+// Bulk import: replace swaps the whole library, otherwise unknown ids are appended.
+export function importSavedPlans(entries, { replace = false } = {}) {
+  const incoming = entries.map(repairSavedPlan);
+  if (replace) {
+    savedPlans = incoming;
+  } else {
+    const knownIds = new Set(savedPlans.map((item) => item.id));
+    savedPlans = [
+      ...savedPlans,
+      ...incoming.filter((item) => !knownIds.has(item.id)),
+    ];
+  }
+  commitSavedPlans();
+}
+
+function commitSavedPlans() {
+  persistSavedPlans();
+  emit("plans:change", { plans: getSavedPlans() });
+}
+
+// Another tab of the app saved something: adopt it and tell this tab's
+// listeners, marked external so they don't write it back.
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.storageArea !== localStorage) return;
+    adoptStoredChange(event.key);
+  });
+}
+
+function adoptStoredChange(key) {
+  // A null key means the whole storage was cleared.
+  const all = key === null;
+  if (all || key === PLAN_KEY) {
+    plan = loadStored(PLAN_KEY, DEFAULT_PLAN, PLAN_SCHEMA);
+    emit("plan:change", { plan: { ...plan }, external: true });
+  }
+  if (all || key === PREFERENCES_KEY) {
+    preferences = loadStored(
+      PREFERENCES_KEY,
+      DEFAULT_PREFERENCES,
+      PREFERENCES_SCHEMA
+    );
+    emit("preferences:change", {
+      preferences: { ...preferences },
+      external: true,
+    });
+  }
+  if (all || key === THEME_KEY) {
+    theme = loadTheme();
+    emit("theme:change", { theme, external: true });
+  }
+  if (all || key === SAVED_PLANS_KEY) {
+    savedPlans = loadSavedPlans();
+    emit("plans:change", { plans: getSavedPlans(), external: true });
+  }
+}
+
+// Values pulled from the sync server replace the local ones. They are
+// announced as external, like changes from another tab, so nothing pushes
+// them straight back.
+export function adoptSyncedState(values) {
+  if (values.plan) {
+    plan = {
+      ...DEFAULT_PLAN,
+      ...applySchema(PLAN_SCHEMA, values.plan, { strict: false }),
+    };
+    saveStored(PLAN_KEY, plan);
+    emit("plan:change", { plan: { ...plan }, external: true });
+  }
+  if (values.preferences) {
+    preferences = {
+      ...DEFAULT_PREFERENCES,
+      ...applySchema(PREFERENCES_SCHEMA, values.preferences, {
+        strict: false,
+      }),
+    };
+    saveStored(PREFERENCES_KEY, preferences);
+    emit("preferences:change", {
+      preferences: { ...preferences },
+      external: true,
+    });
+  }
+  if (Array.isArray(values.savedPlans)) {
+    savedPlans = values.savedPlans.filter(isRecord).map(repairSavedPlan);
+    persistSavedPlans();
+    emit("plans:change", { plans: getSavedPlans(), external: true });
+  }
 }
 
 export function onStateEvent(type, listener) {
@@ -73,6 +540,8 @@ function emit(type, detail) {
 export function resetState() {
   plan = { ...DEFAULT_PLAN };
   preferences = { ...DEFAULT_PREFERENCES };
+  saveStored(PLAN_KEY, plan);
+  saveStored(PREFERENCES_KEY, preferences);
   emit("plan:change", { plan: { ...plan } });
   emit("preferences:change", { preferences: { ...preferences } });
 }
@@ -0,0 +1,271 @@
+// stats.js
+// Aggregates session history into daily/weekly numbers and renders the Stats tab.
+
+import { getHistoryEntries, onHistoryEvent } from "./history.js";
+import { getPreferences, onStateEvent } from "./state.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_DAYS = 7;
+
+let statsNodes = null;
+let renderedDayStartHour = null;
+
+export function initStatsPanel() {
+  statsNodes = {
+    focusToday: document.getElementById("stat-focus-today"),
+    pomodorosToday: document.getElementById("stat-pomodoros-today"),
+    weekChart: document.getElementById("week-chart"),
+    currentStreak: document.getElementById("stat-current-streak"),
+    bestStreak: document.getElementById("stat-best-streak"),
+    interruptionsToday: document.getElementById("stat-interruptions-today"),
+    busiestHour: document.getElementById("stat-busiest-hour"),
+    interruptionChart: document.getElementById("interruption-chart"),
+  };
+
+  onHistoryEvent("history:change", () => renderStats());
+  onStateEvent("preferences:change", () => {
+    if (getPreferences().dayStartHour !== renderedDayStartHour) renderStats();
+  });
+  renderStats();
+}
+
+export async function renderStats() {
+  if (!statsNodes) return;
+  // A year back is plenty for streaks and keeps the query small.
+  const entries = await getHistoryEntries({ from: Date.now() - 365 * DAY_MS });
+  const { dayStartHour } = getPreferences();
+  renderedDayStartHour = dayStartHour;
+  const stats = computeStats(entries, Date.now(), { dayStartHour });
+
+  statsNodes.focusToday.textContent = formatMinutes(stats.todayFocusSeconds);
+  statsNodes.pomodorosToday.textContent = stats.todayPomodoros.toString();
+  statsNodes.currentStreak.textContent = formatDays(stats.currentStreak);
+  statsNodes.bestStreak.textContent = formatDays(stats.bestStreak);
+  renderWeekChart(statsNodes.weekChart, stats.week);
+  statsNodes.interruptionsToday.textContent =
+    stats.todayInterruptions.toString();
+  statsNodes.busiestHour.textContent = formatBusiestHour(
+    stats.interruptionHours
+  );
+  renderHourChart(statsNodes.interruptionChart, stats.interruptionHours);
+}
+
+// Days start at dayStartHour (0–23), so a session at 1 am can still count
+// towards the previous day for night owls.
+export function computeStats(
+  entries,
+  reference = Date.now(),
+  { dayStartHour = 0 } = {}
+) {
+  const days = groupByDay(entries, dayStartHour);
+  const dayTime = toDayTime(reference, dayStartHour);
+
+  const today = days.get(dayKey(dayTime)) || {
+    focusSeconds: 0,
+    pomodoros: 0,
+  };
+  const week = [];
+  for (let offset = WEEK_DAYS - 1; offset >= 0; offset -= 1) {
+    const date = shiftDays(dayTime, -offset);
+    const day = days.get(dayKey(date));
+    week.push({
+      label: date.toLocaleDateString(undefined, { weekday: "short" }),
+      focusSeconds: day ? day.focusSeconds : 0,
+      isToday: offset === 0,
+    });
+  }
+
+  return {
+    todayFocusSeconds: today.focusSeconds,
+    todayPomodoros: today.pomodoros,
+    week,
+    ...computeStreaks(days, dayTime),
+    ...computeInterruptions(entries, dayTime, dayStartHour),
+  };
+}
+
+// Noon on the calendar day a timestamp belongs to. The boundary is the local
+// dayStartHour on that date rather than a fixed offset, so the hour a DST
+// change adds or drops doesn't move sessions to a neighbouring day.
+export function toDayTime(timestamp, dayStartHour = 0) {
+  const date = new Date(timestamp);
+  const boundary = new Date(timestamp);
+  boundary.setHours(dayStartHour, 0, 0, 0);
+  if (date < boundary) date.setDate(date.getDate() - 1);
+  date.setHours(12, 0, 0, 0);
+  return date.getTime();
+}
+
+// The moment the day containing `reference` began.
+export function startOfDay(reference = Date.now(), dayStartHour = 0) {
+  const date = new Date(toDayTime(reference, dayStartHour));
+  date.setHours(dayStartHour, 0, 0, 0);
+  return date.getTime();
+}
+
+// Focus time and completed pomodoros per day, keyed by dayKey.
+export function groupByDay(entries, dayStartHour = 0) {
+  const days = new Map();
+  entries.forEach((entry) => {
+    if (entry.phase !== "focus") return;
+    const key = dayKey(toDayTime(entry.startedAt, dayStartHour));
+    const day = days.get(key) || { focusSeconds: 0, pomodoros: 0 };
+    day.focusSeconds += entry.actualSeconds;
+    if (entry.outcome === "completed") day.pomodoros += 1;
+    days.set(key, day);
+  });
+  return days;
+}
+
+// Today's total, plus the last week's interruptions by hour of day to show
+// which parts of the day get fragmented.
+function computeInterruptions(entries, dayTime, dayStartHour) {
+  const todayKey = dayKey(dayTime);
+  const weekStart = shiftDays(dayTime, -(WEEK_DAYS - 1));
+  weekStart.setHours(0, 0, 0, 0);
+
+  let todayInterruptions = 0;
+  const interruptionHours = new Array(24).fill(0);
+  entries.forEach((entry) => {
+    (entry.interruptions || []).forEach((interruption) => {
+      const at = toDayTime(interruption.at, dayStartHour);
+      if (dayKey(at) === todayKey) todayInterruptions += 1;
+      if (at >= weekStart.getTime()) {
+        interruptionHours[new Date(interruption.at).getHours()] += 1;
+      }
+    });
+  });
+  return { todayInterruptions, interruptionHours };
+}
+
+// By default a day counts toward a streak once it has at least one completed
+// pomodoro. Today not counting yet does not break the current streak.
+// `reference` is a day time (see toDayTime).
+export function computeStreaks(
+  days,
+  reference,
+  counts = (day) => day.pomodoros > 0
+) {
+  const isActive = (date) => {
+    const day = days.get(dayKey(date));
+    return Boolean(day && counts(day));
+  };
+
+  let currentStreak = 0;
+  let cursor = isActive(shiftDays(reference, 0)) ? 0 : -1;
+  while (isActive(shiftDays(reference, cursor))) {
+    currentStreak += 1;
+    cursor -= 1;
+  }
+
+  const activeKeys = [...days.keys()]
+    .filter((key) => counts(days.get(key)))
+    .sort();
+  let bestStreak = 0;
+  let run = 0;
+  let previous = null;
+  activeKeys.forEach((key) => {
+    const date = new Date(key + "T00:00:00");
+    const follows =
+      previous && dayKey(shiftDays(previous.getTime(), 1)) === key;
+    run = follows ? run + 1 : 1;
+    bestStreak = Math.max(bestStreak, run);
+    previous = date;
+  });
+
+  return { currentStreak, bestStreak: Math.max(bestStreak, currentStreak) };
+}
+
+// Calendar arithmetic goes through Date setters so DST days stay one day long.
+function shiftDays(timestamp, offset) {
+  const date = new Date(timestamp);
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + offset);
+  return date;
+}
+
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = (date.getMonth() + 1).toString().padStart(2, "0");
+  const day = date.getDate().toString().padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function renderWeekChart(node, week) {
+  const peak = Math.max(...week.map((day) => day.focusSeconds), 1);
+  node.setAttribute(
+    "aria-label",
+    week
+      .map((day) => `${day.label}: ${formatMinutes(day.focusSeconds)}`)
+      .join(", ")
+  );
+  node.replaceChildren(
+    ...week.map((day) => {
+      const column = document.createElement("div");
+      column.className = "week-bar";
+      column.classList.toggle("today", day.isToday);
+      column.title = `${day.label}: ${formatMinutes(day.focusSeconds)}`;
+
+      const fill = document.createElement("span");
+      fill.className = "week-bar-fill";
+      fill.style.height = `${(day.focusSeconds / peak) * 100}%`;
+
+      const label = document.createElement("span");
+      label.className = "week-bar-label";
+      label.textContent = day.label;
+
+      column.append(fill, label);
+      return column;
+    })
+  );
+}
+
+function renderHourChart(node, hours) {
+  const peak = Math.max(...hours, 1);
+  const describe = (hour, count) =>
+    `${formatHour(hour)}: ${count} ${count === 1 ? "interruption" : "interruptions"}`;
+  node.setAttribute(
+    "aria-label",
+    hours
+      .map((count, hour) => (count ? describe(hour, count) : null))
+      .filter(Boolean)
+      .join(", ") || "No interruptions in the last 7 days"
+  );
+  node.replaceChildren(
+    ...hours.map((count, hour) => {
+      const column = document.createElement("div");
+      column.className = "week-bar";
+      column.title = describe(hour, count);
+
+      const fill = document.createElement("span");
+      fill.className = "week-bar-fill";
+      fill.style.height = `${(count / peak) * 100}%`;
+
+      const label = document.createElement("span");
+      label.className = "week-bar-label";
+      label.textContent = hour % 6 === 0 ? hour.toString() : "";
+
+      column.append(fill, label);
+      return column;
+    })
+  );
+}
+
+function formatBusiestHour(hours) {
+  const peak = Math.max(...hours);
+  if (peak === 0) return "—";
+  return formatHour(hours.indexOf(peak));
+}
+
+function formatHour(hour) {
+  return `${hour.toString().padStart(2, "0")}:00`;
+}
+
+function formatMinutes(seconds) {
+  return `${Math.round(seconds / 60)} min`;
+}
+
+function formatDays(count) {
+  return count === 1 ? "1 day" : `${count} days`;
+}
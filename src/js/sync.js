@@ -0,0 +1,280 @@
+// sync.js
+// Keeps open tabs on one timer: a single leading tab runs it and its audio, the others mirror it and hand it their commands.
+
+import {
+  adjustPhaseTime,
+  applyPlanSettings,
+  getPhaseInterruptions,
+  getSessionSnapshot,
+  getTimerState,
+  logInterruption,
+  mirrorTimerState,
+  onTimerEvent,
+  performPrimaryAction,
+  previousPhase,
+  resetTimer,
+  restartPhase,
+  setCommandRelay,
+  skipPhase,
+  takeOverSession,
+} from "./timer.js";
+import { getPlanSettings, updatePlanSettings } from "./state.js";
+import { announceExternalHistoryChange, onHistoryEvent } from "./history.js";
+import {
+  announceExternalSoundChange,
+  onCustomSoundEvent,
+} from "./customsounds.js";
+
+const CHANNEL_NAME = "pomodoro-sync";
+const LEADER_KEY = "pomodoro-leader";
+const HEARTBEAT_MS = 1000;
+// A leader that has not renewed its lease for this long is presumed gone.
+const LEASE_MS = 4000;
+// Browsers may run a hidden tab's timers as rarely as once a minute, so a
+// hidden leader's lease has to outlast that. Closing the tab still hands
+// over at once; only a crash while hidden takes this long to notice.
+const HIDDEN_LEASE_MS = 75 * 1000;
+
+// Everything a following tab may ask the leader to do.
+const COMMANDS = {
+  performPrimaryAction,
+  resetTimer,
+  applyPlanSettings,
+  skipPhase,
+  restartPhase,
+  previousPhase,
+  adjustPhaseTime,
+  logInterruption,
+};
+
+const tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+let channel = null;
+let role = null; // leader | follower, null while the page is hidden away
+let heartbeatInterval = null;
+// Following tabs the leader has heard from, so it can name a successor.
+const followers = new Set();
+
+// Must run before the UI restores a saved session: only the leader may.
+export function initSync() {
+  if (typeof BroadcastChannel === "undefined") return;
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.addEventListener("message", (event) => {
+    if (event.data) handleMessage(event.data);
+  });
+
+  onTimerEvent("timer:update", (event) => {
+    if (role === "leader") broadcastState(event.detail);
+  });
+  onTimerEvent("timer:interruption", () => {
+    if (role === "leader") broadcastState(getTimerState());
+  });
+  onHistoryEvent("history:change", (event) => {
+    if (!event.detail.external) post({ type: "history" });
+  });
+  onCustomSoundEvent("sounds:change", (event) => {
+    if (!event.detail.external) post({ type: "sounds" });
+  });
+
+  window.addEventListener("pagehide", () => leave());
+  // Back from the back/forward cache: someone else may lead by now.
+  window.addEventListener("pageshow", (event) => {
+    if (event.persisted) join();
+  });
+  // Renews the lease for the new visibility straight away, before throttling
+  // sets in.
+  document.addEventListener("visibilitychange", () => heartbeat());
+
+  join();
+}
+
+// True unless another tab runs the timer; also true without BroadcastChannel.
+export function isLeadingTab() {
+  return role !== "follower";
+}
+
+function join() {
+  clearInterval(heartbeatInterval);
+  heartbeatInterval = setInterval(heartbeat, HEARTBEAT_MS);
+  const lease = readLease();
+  if (lease && lease.id !== tabId && lease.expires > Date.now()) {
+    follow();
+  } else {
+    lead();
+  }
+}
+
+// A tab that was following continues the leader's session; a tab that has
+// just opened leaves that to the UI's restore prompt.
+function lead(snapshot) {
+  const wasFollowing = role === "follower";
+  role = "leader";
+  followers.clear();
+  writeLease(tabId);
+  if (wasFollowing) {
+    setCommandRelay(null);
+    takeOverSession(snapshot);
+  }
+  post({ type: "leader" });
+}
+
+function follow() {
+  role = "follower";
+  followers.clear();
+  setCommandRelay(sendCommand);
+  post({ type: "hello" });
+}
+
+// Following resets this tab's timer, so a session started while both tabs
+// led goes to the leader instead of being lost.
+function stepBack() {
+  const snapshot = getSessionSnapshot();
+  follow();
+  if (snapshot) post({ type: "handover", snapshot });
+}
+
+function leave() {
+  clearInterval(heartbeatInterval);
+  heartbeatInterval = null;
+  if (role === "leader") {
+    const [successor = null] = [...followers].sort();
+    // The lease moves with the session, so the other followers don't race
+    // the successor for it.
+    if (successor) {
+      writeLease(successor);
+    } else {
+      localStorage.removeItem(LEADER_KEY);
+    }
+    post({ type: "resign", successor, snapshot: getSessionSnapshot() });
+  } else if (role === "follower") {
+    post({ type: "bye" });
+  }
+  role = null;
+}
+
+function heartbeat() {
+  if (!role) return;
+  const lease = readLease();
+  const leaseHeld = lease && lease.expires > Date.now();
+
+  if (role === "leader") {
+    // Tabs opened at the same moment may both lead briefly; whichever sees
+    // the other's lease first steps back.
+    if (leaseHeld && lease.id !== tabId) {
+      stepBack();
+      return;
+    }
+    writeLease(tabId);
+    return;
+  }
+
+  if (!leaseHeld) claimLeadership();
+}
+
+// The leader vanished without handing over (crash, killed tab). Several
+// followers may notice at once: each writes the lease, and only the one whose
+// write survived a moment later takes over from the stored session.
+function claimLeadership() {
+  writeLease(tabId);
+  const settle = 100 + Math.random() * 200;
+  setTimeout(() => {
+    const lease = readLease();
+    if (role === "follower" && lease && lease.id === tabId) lead();
+  }, settle);
+}
+
+function handleMessage(message) {
+  if (message.from === tabId) return;
+
+  switch (message.type) {
+    case "hello":
+      if (role !== "leader") return;
+      followers.add(message.from);
+      broadcastState(getTimerState());
+      return;
+    case "bye":
+      followers.delete(message.from);
+      return;
+    case "leader":
+      if (role === "follower") post({ type: "hello" });
+      return;
+    case "state":
+      if (role === "follower") {
+        mirrorTimerState(message.state, message.interruptions);
+      }
+      return;
+    case "command":
+      if (role === "leader") runCommand(message);
+      return;
+    case "handover":
+      // A session of the leader's own wins over the one handed to it.
+      if (role === "leader" && getTimerState().status === "ready") {
+        takeOverSession(message.snapshot);
+      }
+      return;
+    case "resign":
+      if (role === "follower" && message.successor === tabId) {
+        lead(message.snapshot);
+      }
+      return;
+    case "history":
+      announceExternalHistoryChange();
+      return;
+    case "sounds":
+      announceExternalSoundChange();
+      return;
+    default:
+      return;
+  }
+}
+
+// Installed as the timer's command relay while following. With no live
+// leader to send it to, this tab takes over and runs the command itself.
+function sendCommand(command, args) {
+  const lease = readLease();
+  if (!lease || lease.expires <= Date.now()) {
+    lead();
+    COMMANDS[command](...args);
+    return true;
+  }
+  post({
+    type: "command",
+    command,
+    args,
+    // Applying a plan must use the plan as this tab sees it; the storage
+    // event carrying it may arrive after the command.
+    plan: command === "applyPlanSettings" ? getPlanSettings() : undefined,
+  });
+  return true;
+}
+
+function runCommand({ command, args = [], plan }) {
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) return;
+  if (plan) updatePlanSettings(plan);
+  COMMANDS[command](...args);
+}
+
+function broadcastState(state) {
+  post({ type: "state", state, interruptions: getPhaseInterruptions() });
+}
+
+function post(message) {
+  if (!channel) return;
+  channel.postMessage({ ...message, from: tabId });
+}
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(LEADER_KEY) || "null");
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeLease(id) {
+  const duration = document.hidden ? HIDDEN_LEASE_MS : LEASE_MS;
+  localStorage.setItem(
+    LEADER_KEY,
+    JSON.stringify({ id, expires: Date.now() + duration })
+  );
+}
@@ -0,0 +1,316 @@
+// tasks.js
+// Task list with pomodoro estimates: completed focus phases are credited to the active task.
+
+import { onTimerEvent } from "./timer.js";
+import { showToast } from "./toast.js";
+
+const TASKS_KEY = "pomodoro-tasks";
+export const TASK_ESTIMATE = { min: 1, max: 20 };
+
+let { tasks, activeTaskId } = loadTasks();
+
+const taskEvents = new EventTarget();
+
+// Only a focus phase that ran to its end counts; skipped or reset ones don't.
+// Phases finished while the tab was closed are credited on restore as well.
+onTimerEvent("timer:phase", (event) => {
+  const { phase, outcome } = event.detail;
+  if (phase !== "focus" || outcome !== "completed") return;
+  const task = tasks.find((item) => item.id === activeTaskId);
+  if (!task) return;
+  task.pomodoros += 1;
+  commit({ credited: task.id });
+});
+
+// Keeps the list in step with other open tabs of the app.
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== TASKS_KEY && event.key !== null) return;
+    ({ tasks, activeTaskId } = loadTasks());
+    emit("tasks:change", { tasks: getTasks(), activeTaskId, external: true });
+  });
+}
+
+export function onTaskEvent(type, listener) {
+  taskEvents.addEventListener(type, listener);
+}
+
+function emit(type, detail) {
+  taskEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function loadTasks() {
+  const empty = { tasks: [], activeTaskId: null };
+  if (typeof window === "undefined") return empty;
+  try {
+    const parsed = JSON.parse(localStorage.getItem(TASKS_KEY) || "null");
+    if (!parsed || !Array.isArray(parsed.tasks)) return empty;
+    const list = parsed.tasks.map(normalizeTask).filter(Boolean);
+    const active = list.some((task) => task.id === parsed.activeTaskId)
+      ? parsed.activeTaskId
+      : null;
+    return { tasks: list, activeTaskId: active };
+  } catch (error) {
+    return empty;
+  }
+}
+
+function normalizeTask(task) {
+  if (!task || typeof task.id !== "string" || typeof task.title !== "string") {
+    return null;
+  }
+  return {
+    id: task.id,
+    title: task.title,
+    estimate: clampEstimate(task.estimate),
+    pomodoros: Math.max(0, Math.floor(Number(task.pomodoros) || 0)),
+    done: Boolean(task.done),
+    createdAt: Number(task.createdAt) || Date.now(),
+  };
+}
+
+function commit(detail = {}) {
+  if (typeof window !== "undefined") {
+    localStorage.setItem(TASKS_KEY, JSON.stringify({ tasks, activeTaskId }));
+  }
+  emit("tasks:change", { ...detail, tasks: getTasks(), activeTaskId });
+}
+
+function createTaskId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function clampEstimate(value) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return TASK_ESTIMATE.min;
+  return Math.min(TASK_ESTIMATE.max, Math.max(TASK_ESTIMATE.min, number));
+}
+
+export function getTasks() {
+  return tasks.map((task) => ({ ...task }));
+}
+
+export function getActiveTask() {
+  const task = tasks.find((item) => item.id === activeTaskId);
+  return task ? { ...task } : null;
+}
+
+export function addTask(title, estimate = TASK_ESTIMATE.min) {
+  const task = {
+    id: createTaskId(),
+    title: title.trim() || "Untitled task",
+    estimate: clampEstimate(estimate),
+    pomodoros: 0,
+    done: false,
+    createdAt: Date.now(),
+  };
+  tasks = [...tasks, task];
+  // The first open task becomes active, so credit starts without extra clicks.
+  if (!getActiveTask()) activeTaskId = task.id;
+  commit({ added: task.id });
+  return { ...task };
+}
+
+export function updateTask(id, changes) {
+  const task = tasks.find((item) => item.id === id);
+  if (!task) return;
+  if ("title" in changes) task.title = changes.title.trim() || task.title;
+  if ("estimate" in changes) task.estimate = clampEstimate(changes.estimate);
+  if ("done" in changes) {
+    task.done = Boolean(changes.done);
+    if (task.done && activeTaskId === id) activeTaskId = null;
+  }
+  commit({ updated: id });
+}
+
+export function removeTask(id) {
+  tasks = tasks.filter((task) => task.id !== id);
+  if (activeTaskId === id) activeTaskId = null;
+  commit({ removed: id });
+}
+
+export function clearFinishedTasks() {
+  const count = tasks.filter((task) => task.done).length;
+  tasks = tasks.filter((task) => !task.done);
+  commit({ cleared: count });
+  return count;
+}
+
+export function moveTask(id, toIndex) {
+  const fromIndex = tasks.findIndex((task) => task.id === id);
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= tasks.length) return;
+  const next = [...tasks];
+  const [task] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, task);
+  tasks = next;
+  commit({ moved: id });
+}
+
+// Pass null to work without a task; finished tasks can't be picked.
+export function setActiveTask(id) {
+  const task = tasks.find((item) => item.id === id);
+  activeTaskId = task && !task.done ? id : null;
+  commit({ activated: activeTaskId });
+}
+
+// "3/5 🍅"
+export function describeTaskProgress(task) {
+  return `${task.pomodoros}/${task.estimate} 🍅`;
+}
+
+export function initTasksPanel() {
+  const form = document.getElementById("task-form");
+  const titleInput = document.getElementById("task-title");
+  const estimateInput = document.getElementById("task-estimate");
+  const list = document.getElementById("task-list");
+  const emptyNode = document.getElementById("task-list-empty");
+  const clearButton = document.getElementById("clear-finished-tasks");
+  const activeLabel = document.getElementById("active-task");
+
+  estimateInput.min = TASK_ESTIMATE.min.toString();
+  estimateInput.max = TASK_ESTIMATE.max.toString();
+
+  const render = () => {
+    renderTaskList(list, emptyNode);
+    clearButton.hidden = !tasks.some((task) => task.done);
+    const active = getActiveTask();
+    activeLabel.hidden = !active;
+    activeLabel.textContent = active
+      ? `${active.title} · ${describeTaskProgress(active)}`
+      : "";
+  };
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (!titleInput.value.trim()) return;
+    addTask(titleInput.value, estimateInput.value);
+    titleInput.value = "";
+    estimateInput.value = TASK_ESTIMATE.min.toString();
+    titleInput.focus();
+  });
+
+  list.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-task-action]");
+    if (!button) return;
+    const { taskAction: action, id } = button.dataset;
+    const task = tasks.find((item) => item.id === id);
+    if (!task) return;
+
+    if (action === "select") {
+      setActiveTask(activeTaskId === id ? null : id);
+      return;
+    }
+    if (action === "done") {
+      const done = !task.done;
+      updateTask(id, { done });
+      if (done) {
+        showToast(`“${task.title}” done · ${describeTaskProgress(task)}`);
+      }
+      return;
+    }
+    if (action === "rename") {
+      const title = window.prompt("Rename task", task.title);
+      if (title !== null) updateTask(id, { title });
+      return;
+    }
+    if (action === "delete") {
+      removeTask(id);
+      return;
+    }
+    if (action === "up" || action === "down") {
+      const index = tasks.indexOf(task);
+      moveTask(id, action === "up" ? index - 1 : index + 1);
+    }
+  });
+
+  list.addEventListener("change", (event) => {
+    const input = event.target.closest("[data-task-estimate]");
+    if (!input) return;
+    updateTask(input.dataset.taskEstimate, { estimate: input.value });
+  });
+
+  clearButton.addEventListener("click", () => {
+    const count = clearFinishedTasks();
+    showToast(`${count} finished ${count === 1 ? "task" : "tasks"} cleared`);
+  });
+
+  onTaskEvent("tasks:change", () => render());
+  render();
+}
+
+function renderTaskList(listNode, emptyNode) {
+  emptyNode.hidden = tasks.length > 0;
+  listNode.replaceChildren(
+    ...tasks.map((task, index) =>
+      createTaskItem(task, index === 0, index === tasks.length - 1)
+    )
+  );
+}
+
+function createTaskItem(task, isFirst, isLast) {
+  const isActive = task.id === activeTaskId;
+  const item = document.createElement("li");
+  item.className = "plan-item task-item";
+  item.classList.toggle("active", isActive);
+  item.classList.toggle("done", task.done);
+
+  const selectButton = document.createElement("button");
+  selectButton.className = "plan-load";
+  selectButton.dataset.taskAction = "select";
+  selectButton.dataset.id = task.id;
+  selectButton.disabled = task.done;
+  selectButton.setAttribute("aria-pressed", isActive.toString());
+  selectButton.setAttribute(
+    "aria-label",
+    isActive ? `Stop working on ${task.title}` : `Work on ${task.title}`
+  );
+
+  const name = document.createElement("span");
+  name.className = "plan-name";
+  name.textContent = task.title;
+  const meta = document.createElement("span");
+  meta.className = "plan-meta";
+  meta.textContent = isActive
+    ? `${describeTaskProgress(task)} · active`
+    : describeTaskProgress(task);
+  selectButton.append(name, meta);
+
+  const estimate = document.createElement("input");
+  estimate.className = "select-input task-estimate";
+  estimate.type = "number";
+  estimate.inputMode = "numeric";
+  estimate.min = TASK_ESTIMATE.min.toString();
+  estimate.max = TASK_ESTIMATE.max.toString();
+  estimate.value = task.estimate.toString();
+  estimate.dataset.taskEstimate = task.id;
+  estimate.title = "Estimated pomodoros";
+  estimate.setAttribute("aria-label", `Estimated pomodoros for ${task.title}`);
+
+  const actions = document.createElement("div");
+  actions.className = "plan-actions";
+  actions.append(estimate);
+  [
+    { action: "up", label: "↑", title: "Move up", disabled: isFirst },
+    { action: "down", label: "↓", title: "Move down", disabled: isLast },
+    {
+      action: "done",
+      label: task.done ? "↩" : "✓",
+      title: task.done ? "Reopen" : "Mark done",
+    },
+    { action: "rename", label: "✎", title: "Rename" },
+    { action: "delete", label: "✕", title: "Delete" },
+  ].forEach(({ action, label, title, disabled }) => {
+    const button = document.createElement("button");
+    button.className = "plan-action";
+    button.dataset.taskAction = action;
+    button.dataset.id = task.id;
+    button.textContent = label;
+    button.title = title;
+    button.disabled = Boolean(disabled);
+    button.setAttribute("aria-label", `${title} ${task.title}`);
+    actions.append(button);
+  });
+
+  item.append(selectButton, actions);
+  return item;
+}
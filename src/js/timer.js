@@ -1,66 +1,157 @@
 // timer.js
-// Implements a single-source timer state machine for focus/relax cycles.
+// Implements a single-source timer state machine that walks a plan's
+// sequence of focus/relax segments.
+// Remaining time is always derived from a wall-clock end timestamp, so
+// throttled intervals or a sleeping laptop never stretch a session.
 
 import { getPlanSettings, getPreferences } from "./state.js";
 import {
-  playCountdownSound,
   playModeSwitchSound,
   playPauseSound,
   playSessionStartSound,
   startMetronome,
   stopMetronome,
   stopCountdownSound,
-  startRelaxAmbient,
-  stopRelaxAmbient,
+  startAmbient,
+  stopAmbient,
   primeDeferredSounds,
 } from "./sound.js";
+import {
+  SEGMENT_TYPES,
+  buildSequence,
+  countCycles,
+  cyclesLeftAt,
+  segmentLabel,
+  sequenceSeconds,
+} from "./sequence.js";
 
 const timerEvents = new EventTarget();
+const TICK_INTERVAL_MS = 250;
+// Alerts per phase type; preferences only hold what the user changed.
+const DEFAULT_ALERTS = {
+  countdownSeconds: 3, // beeps before the end, 0 turns them off
+  minutesLeft: [], // "N minutes left" reminders
+  halfway: false,
+  speak: false, // read reminders out loud
+};
+// Reminders that were crossed longer ago than this (a frozen tab) are dropped.
+const ALERT_GRACE_MS = 5000;
+export const INTERRUPTION_KINDS = ["internal", "external"];
+const SESSION_KEY = "pomodoro-session";
 let tickerId = null;
+let lastSessionSnapshot = null;
+// Bookkeeping for the phase in progress, reported via "timer:phase" when it ends.
+let phaseRecord = null;
+// Where the last alert check left off: the end time it measured against and
+// the time that was left then.
+let alertCursor = { endsAt: null, remainingMs: 0 };
+let countdownEndsAt = null;
+// Set while a saved session is replayed, so catch-up stays quiet.
+let silent = false;
+// Segments of the applied plan; rebuilt whenever the plan is (re)applied.
+let sequence = [];
+// Set while another tab leads: commands are handed to it and the display
+// follows the state it broadcasts instead of this tab's own machine.
+let commandRelay = null;
+let mirroredState = null;
+let mirroredInterruptions = [];
 
 const timerState = {
   status: "ready", // ready | running | paused | waiting
-  phase: "focus", // focus | relax
+  phase: "focus", // focus | relax | longRelax
+  segmentIndex: 0,
+  segmentLabel: "Focus",
+  totalSegments: 0,
   remainingSeconds: 0,
   durationSeconds: 0,
   cyclesLeft: 0,
   totalCycles: 0,
   isRunning: false,
+  endsAt: null, // epoch ms when the running phase ends
+  pausedRemainingMs: null, // exact time left while paused
 };
 
 initializeFromPlan();
 
+/* ---------- clock and audio ---------- */
+
+// Date.now keeps counting through sleep, unlike a chain of interval ticks.
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (id) => clearInterval(id),
+};
+const webAudio = {
+  playModeSwitchSound,
+  playPauseSound,
+  playSessionStartSound,
+  startMetronome,
+  stopMetronome,
+  stopCountdownSound,
+  startAmbient,
+  stopAmbient,
+  primeDeferredSounds,
+};
+let clock = systemClock;
+let audio = webAudio;
+
+// Swaps what the machine reads the time from and plays sounds through, so
+// tests can fast-forward whole plans and record every cue. Call it before
+// the timer starts; whatever is left out goes back to the real thing.
+export function setTimerEnvironment({
+  clock: nextClock = systemClock,
+  audio: nextAudio = {},
+} = {}) {
+  clearTicker();
+  clock = nextClock;
+  audio = { ...webAudio, ...nextAudio };
+}
+
+function now() {
+  return clock.now();
+}
+
+function secondsUntil(timestamp, reference = now()) {
+  return Math.max(0, Math.ceil((timestamp - reference) / 1000));
+}
+
 function initializeFromPlan() {
-  const plan = getPlanSettings();
+  sequence = buildSequence(getPlanSettings());
   timerState.status = "ready";
-  timerState.phase = "focus";
-  timerState.durationSeconds = plan.focusMinutes * 60;
-  timerState.remainingSeconds = timerState.durationSeconds;
-  timerState.cyclesLeft = plan.cycles;
-  timerState.totalCycles = plan.cycles;
+  timerState.totalSegments = sequence.length;
+  timerState.totalCycles = countCycles(sequence);
+  selectSegment(0);
   timerState.isRunning = false;
+  timerState.endsAt = null;
+  timerState.pausedRemainingMs = null;
+}
+
+// Points the state at a segment without starting it.
+function selectSegment(index) {
+  const segment = sequence[index];
+  timerState.segmentIndex = index;
+  timerState.phase = segment.type;
+  timerState.segmentLabel = segmentLabel(segment);
+  timerState.durationSeconds = segment.minutes * 60;
+  timerState.remainingSeconds = timerState.durationSeconds;
+  timerState.cyclesLeft = cyclesLeftAt(sequence, index);
 }
 
 function emit(message) {
-  timerEvents.dispatchEvent(
-    new CustomEvent("timer:update", {
-      detail: {
-        ...timerState,
-        statusLabel: deriveStatusLabel(),
-        primaryLabel: derivePrimaryLabel(),
-        tone: deriveTone(),
-        totalRemainingSeconds: calculateTotalRemaining(),
-        message,
-      },
-    })
-  );
+  persistSession();
+  if (silent) return;
+  dispatchUpdate({ ...getTimerState(), message });
+}
+
+function dispatchUpdate(detail) {
+  timerEvents.dispatchEvent(new CustomEvent("timer:update", { detail }));
 }
 
 function deriveStatusLabel() {
   if (timerState.status === "ready") return "Ready";
   if (timerState.status === "waiting") return "Waiting";
   if (timerState.status === "paused") return "Paused";
-  return timerState.phase === "focus" ? "Focus" : "Relax";
+  return timerState.segmentLabel;
 }
 
 function derivePrimaryLabel() {
@@ -74,190 +165,403 @@ function deriveTone() {
   if (timerState.status === "paused") return "paused";
   if (timerState.status === "waiting") return "waiting";
   if (timerState.status === "ready") return "ready";
-  return timerState.phase === "focus" ? "focus" : "relax";
+  return timerState.phase;
 }
 
+// Current segment's remaining time plus every segment still ahead of it.
 function calculateTotalRemaining() {
-  const plan = getPlanSettings();
-  const focusSeconds = plan.focusMinutes * 60;
-  const relaxSeconds = plan.relaxMinutes * 60;
-  const cycles = Math.max(timerState.cyclesLeft, 0);
-
   if (timerState.status === "ready") {
-    return cycles * (focusSeconds + relaxSeconds);
-  }
-
-  if (timerState.phase === "focus") {
-    const remainingCycles = Math.max(cycles - 1, 0);
-    return (
-      timerState.remainingSeconds +
-      relaxSeconds +
-      remainingCycles * (focusSeconds + relaxSeconds)
-    );
+    return sequenceSeconds(sequence);
   }
 
-  // Relax phase: the current focus portion already finished.
-  const remainingCycles = Math.max(cycles - 1, 0);
   return (
     timerState.remainingSeconds +
-    remainingCycles * (focusSeconds + relaxSeconds)
+    sequenceSeconds(sequence, timerState.segmentIndex + 1)
   );
 }
 
 function clearTicker() {
   if (tickerId) {
-    clearInterval(tickerId);
+    clock.clearInterval(tickerId);
     tickerId = null;
   }
 }
 
 function startTicker() {
   clearTicker();
-  tickerId = setInterval(handleTick, 1000);
+  // The interval only samples the clock; it never counts time itself.
+  tickerId = clock.setInterval(handleTick, TICK_INTERVAL_MS);
 }
 
 function handleTick() {
-  if (timerState.remainingSeconds <= 0) {
-    handlePhaseCompletion();
-    return;
+  if (commandRelay || timerState.status !== "running") return;
+
+  const current = now();
+
+  // Catch up on every phase boundary that passed while the tab was frozen.
+  while (timerState.status === "running" && current >= timerState.endsAt) {
+    handlePhaseCompletion(timerState.endsAt);
   }
 
-  timerState.remainingSeconds -= 1;
+  if (timerState.status !== "running") return;
+
+  checkAlerts(current);
+
+  const remaining = secondsUntil(timerState.endsAt, current);
+  if (remaining === timerState.remainingSeconds) return;
+
+  timerState.remainingSeconds = remaining;
+  emit();
+}
 
-  // Теперь предупреждаем за 3 секунды, а не за 5
+export function getAlertSettings() {
+  const stored = getPreferences().alerts || {};
+  return Object.fromEntries(
+    SEGMENT_TYPES.map((type) => [
+      type,
+      { ...DEFAULT_ALERTS, ...(stored[type] || {}) },
+    ])
+  );
+}
+
+function announceAlert(type, extra) {
+  timerEvents.dispatchEvent(
+    new CustomEvent("timer:alert", {
+      detail: {
+        type,
+        phase: timerState.phase,
+        label: timerState.segmentLabel,
+        endsAt: timerState.endsAt,
+        remainingSeconds: timerState.remainingSeconds,
+        ...extra,
+      },
+    })
+  );
+}
+
+// Fires the running phase's alerts whose threshold was crossed since the
+// last tick. The countdown is announced a second before it starts so its
+// beeps can be scheduled on the audio clock.
+function checkAlerts(current) {
+  const remainingMs = timerState.endsAt - current;
+  const previous = alertCursor;
+  alertCursor = { endsAt: timerState.endsAt, remainingMs };
+  if (!isLive()) return;
+
+  const settings = getAlertSettings()[timerState.phase];
+  const { countdownSeconds } = settings;
   if (
-    timerState.status === "running" &&
-    timerState.remainingSeconds > 0 &&
-    timerState.remainingSeconds <= 3
+    countdownSeconds > 0 &&
+    remainingMs <= (countdownSeconds + 1) * 1000 &&
+    countdownEndsAt !== timerState.endsAt
   ) {
-    playCountdownSound();
+    countdownEndsAt = timerState.endsAt;
+    announceAlert("countdown", { seconds: countdownSeconds });
   }
 
-  emit();
-
-  if (timerState.remainingSeconds <= 0) {
-    handlePhaseCompletion();
+  // A new end time (start, resume, adjust) starts measuring afresh.
+  if (previous.endsAt !== timerState.endsAt) return;
+  const crossed = (thresholdMs) =>
+    previous.remainingMs > thresholdMs &&
+    remainingMs <= thresholdMs &&
+    thresholdMs - remainingMs < ALERT_GRACE_MS;
+
+  settings.minutesLeft.forEach((minutes) => {
+    if (minutes * 60 >= timerState.durationSeconds) return;
+    if (crossed(minutes * 60000)) {
+      announceAlert("minutesLeft", { minutes, speak: settings.speak });
+    }
+  });
+  if (settings.halfway && crossed(timerState.durationSeconds * 500)) {
+    announceAlert("halfway", { speak: settings.speak });
   }
 }
 
-function handlePhaseCompletion() {
+// Sounds are only worth playing for a phase that is still running; phases
+// skipped over during catch-up are announced by message only.
+function isLive() {
+  return !silent && timerState.endsAt > now();
+}
+
+// Closes the current phase record and announces it to history listeners.
+// Dispatched even while silent so phases finished offline are still logged.
+function finishPhaseRecord(outcome, endedAt = now()) {
+  if (!phaseRecord) return;
+  const record = phaseRecord;
+  phaseRecord = null;
+
+  const pausedMs =
+    record.pausedMs +
+    (record.pausedAt ? Math.max(0, endedAt - record.pausedAt) : 0);
+  const elapsedMs = Math.max(0, endedAt - record.startedAt - pausedMs);
+  if (record.pausedAt) closePauseInterruption(record, endedAt);
+
+  timerEvents.dispatchEvent(
+    new CustomEvent("timer:phase", {
+      detail: {
+        phase: record.phase,
+        label: record.label,
+        startedAt: record.startedAt,
+        endedAt,
+        plannedSeconds: record.plannedSeconds,
+        actualSeconds: Math.round(elapsedMs / 1000),
+        pausedSeconds: Math.round(pausedMs / 1000),
+        interruptions: (record.interruptions || []).map((item) => ({
+          ...item,
+        })),
+        outcome,
+      },
+    })
+  );
+}
+
+// Tells listeners how the timer moved on from a completed phase: to the next
+// segment, to waiting for Continue, or to the end of the plan.
+function announceTransition(transition, completed) {
+  if (silent) return;
+  timerEvents.dispatchEvent(
+    new CustomEvent("timer:transition", {
+      detail: {
+        ...getTimerState(),
+        transition,
+        completedPhase: completed.phase,
+        completedLabel: completed.label,
+      },
+    })
+  );
+}
+
+function handlePhaseCompletion(completedAt = now()) {
+  const completed = {
+    phase: timerState.phase,
+    label: timerState.segmentLabel,
+  };
+  finishPhaseRecord("completed", completedAt);
   clearTicker();
   timerState.remainingSeconds = 0;
   timerState.isRunning = false;
-  stopCountdownSound(); // обрубаем писк при смене фазы
+  timerState.endsAt = null;
+  audio.stopCountdownSound(); // обрубаем писк при смене фазы
 
-  if (timerState.phase === "focus") {
-    startRelax();
-    emit("Relax started");
-    return;
-  }
-
-  // Relax finished = full cycle completed.
-  timerState.cyclesLeft = Math.max(timerState.cyclesLeft - 1, 0);
-
-  if (timerState.cyclesLeft <= 0) {
-    playModeSwitchSound("ready");
-    stopRelaxAmbient();
+  const nextIndex = timerState.segmentIndex + 1;
+  if (nextIndex >= sequence.length) {
+    if (!silent) audio.playModeSwitchSound("ready");
+    stopPhaseAudio();
     initializeFromPlan();
     emit("Plan finished. Good job!");
+    announceTransition("finished", completed);
     return;
   }
 
+  // Without auto cycle the timer stops before each focus that follows a break.
   const { autoCycle } = getPreferences();
-  if (autoCycle) {
-    startFocus(
-      "Next focus started — " + timerState.cyclesLeft + " cycles left."
+  const next = sequence[nextIndex];
+  if (!autoCycle && next.type === "focus" && timerState.phase !== "focus") {
+    prepareWaitingState(nextIndex);
+    if (!silent) audio.playModeSwitchSound("waiting");
+    emit(
+      "Cycle finished — " +
+        timerState.cyclesLeft +
+        " cycles left. Press Continue to start the next cycle."
     );
+    announceTransition("waiting", completed);
     return;
   }
 
-  prepareWaitingState();
-  playModeSwitchSound("waiting");
-  emit(
-    "Cycle finished — " +
-      timerState.cyclesLeft +
-      " cycles left. Press Continue to start the next cycle."
-  );
+  startSegment(nextIndex, completedAt);
+  emit(describeSegmentStart());
+  announceTransition("next", completed);
 }
 
-function prepareWaitingState() {
-  const plan = getPlanSettings();
+function describeSegmentStart() {
+  if (timerState.phase !== "focus") {
+    return timerState.segmentLabel + " started";
+  }
+  const prefix =
+    timerState.segmentLabel === "Focus"
+      ? "Next focus"
+      : timerState.segmentLabel;
+  return prefix + " started — " + timerState.cyclesLeft + " cycles left.";
+}
+
+function prepareWaitingState(index) {
+  selectSegment(index);
   timerState.status = "waiting";
-  timerState.phase = "focus";
-  timerState.durationSeconds = plan.focusMinutes * 60;
-  timerState.remainingSeconds = timerState.durationSeconds;
   timerState.isRunning = false;
-  stopRelaxAmbient();
+  timerState.endsAt = null;
+  timerState.pausedRemainingMs = null;
+  stopPhaseAudio();
 }
 
-function startFocus(message = "Timer started") {
-  const plan = getPlanSettings();
+function startSegment(index, startedAt = now()) {
+  selectSegment(index);
+  const segment = sequence[index];
+  const durationSeconds = segment.minutes * 60;
+
+  phaseRecord = {
+    phase: segment.type,
+    label: timerState.segmentLabel,
+    startedAt,
+    plannedSeconds: durationSeconds,
+    pausedMs: 0,
+    pausedAt: null,
+    interruptions: [],
+  };
   timerState.status = "running";
-  timerState.phase = "focus";
-  timerState.durationSeconds = plan.focusMinutes * 60;
-  timerState.remainingSeconds =
-    timerState.remainingSeconds || timerState.durationSeconds;
+  timerState.endsAt = startedAt + durationSeconds * 1000;
+  timerState.remainingSeconds = secondsUntil(timerState.endsAt);
+  timerState.pausedRemainingMs = null;
   timerState.isRunning = true;
 
-  stopRelaxAmbient();
-  stopCountdownSound();
-
-  playModeSwitchSound("focus");
-  playSessionStartSound("focus");
-  startMetronome();
+  stopPhaseAudio();
+  if (isLive()) {
+    audio.playModeSwitchSound(segment.type);
+    audio.playSessionStartSound(segment.sound);
+    startPhaseAudio(segment.type);
+  }
   startTicker();
-  emit(message);
 }
 
-function startRelax() {
-  stopMetronome();
-  const plan = getPlanSettings();
-  timerState.status = "running";
-  timerState.phase = "relax";
-  timerState.durationSeconds = plan.relaxMinutes * 60;
-  timerState.remainingSeconds = timerState.durationSeconds;
-  timerState.isRunning = true;
+// Focus gets the metronome; every phase gets its ambience, which fades
+// between phases and on pause.
+function startPhaseAudio(phase) {
+  if (phase === "focus") audio.startMetronome();
+  audio.startAmbient(phase);
+}
 
-  stopCountdownSound();
-  playModeSwitchSound("relax");
-  playSessionStartSound("relax");
-  startRelaxAmbient();
-  startTicker();
+function stopPhaseAudio() {
+  audio.stopMetronome();
+  audio.stopAmbient();
+  audio.stopCountdownSound();
 }
 
 function pauseTimer() {
   clearTicker();
+  const current = now();
+  timerState.pausedRemainingMs = Math.max(0, timerState.endsAt - current);
+  timerState.remainingSeconds = secondsUntil(timerState.endsAt, current);
+  timerState.endsAt = null;
   timerState.status = "paused";
   timerState.isRunning = false;
-  stopMetronome();
-  stopRelaxAmbient();
-  stopCountdownSound();
-  playModeSwitchSound("paused");
-  playPauseSound();
+  if (phaseRecord) {
+    phaseRecord.pausedAt = current;
+    openPauseInterruption(phaseRecord, current);
+  }
+  stopPhaseAudio();
+  audio.playModeSwitchSound("paused");
+  audio.playPauseSound();
   emit("Timer paused");
 }
 
 function resumeTimer() {
+  const current = now();
   timerState.status = "running";
   timerState.isRunning = true;
-
-  if (timerState.phase === "focus") {
-    startMetronome();
-  } else {
-    startRelaxAmbient();
+  timerState.endsAt = current + timerState.pausedRemainingMs;
+  timerState.pausedRemainingMs = null;
+  if (phaseRecord && phaseRecord.pausedAt) {
+    phaseRecord.pausedMs += current - phaseRecord.pausedAt;
+    closePauseInterruption(phaseRecord, current);
+    phaseRecord.pausedAt = null;
   }
 
-  playSessionStartSound(timerState.phase);
+  startPhaseAudio(timerState.phase);
+  audio.playSessionStartSound(sequence[timerState.segmentIndex].sound);
   startTicker();
   emit("Timer resumed");
 }
 
+// A pause during focus is an interruption in itself; its reason can be filled
+// in while paused and its length is known once the timer resumes.
+function openPauseInterruption(record, at) {
+  if (record.phase !== "focus") return;
+  record.interruptions = record.interruptions || [];
+  record.interruptions.push({
+    at,
+    source: "pause",
+    kind: null,
+    note: "",
+    pausedSeconds: 0,
+  });
+}
+
+function closePauseInterruption(record, endedAt) {
+  const open = findOpenPause(record);
+  if (open) open.pausedSeconds = Math.round((endedAt - open.at) / 1000);
+}
+
+function findOpenPause(record) {
+  if (!record.pausedAt || !record.interruptions) return null;
+  const last = record.interruptions[record.interruptions.length - 1];
+  return last && last.source === "pause" && last.at === record.pausedAt
+    ? last
+    : null;
+}
+
+// Logs an interruption against the focus phase in progress. While paused it
+// gives the pause its reason instead of adding a second entry.
+// Returns the entry, or null outside of a running or paused focus phase.
+export function logInterruption({ kind, note = "" }) {
+  if (commandRelay) {
+    const passed = commandRelay("logInterruption", [{ kind, note }]);
+    return passed
+      ? { at: now(), source: "relay", kind, note: note.trim() }
+      : null;
+  }
+  const active =
+    timerState.status === "running" || timerState.status === "paused";
+  if (!active || !phaseRecord || phaseRecord.phase !== "focus") return null;
+  if (!INTERRUPTION_KINDS.includes(kind)) {
+    throw new Error(`Unknown interruption kind: ${kind}`);
+  }
+
+  phaseRecord.interruptions = phaseRecord.interruptions || [];
+  let entry = findOpenPause(phaseRecord);
+  if (entry) {
+    entry.kind = kind;
+    entry.note = note.trim();
+  } else {
+    entry = {
+      at: now(),
+      source: "manual",
+      kind,
+      note: note.trim(),
+      pausedSeconds: 0,
+    };
+    phaseRecord.interruptions.push(entry);
+  }
+
+  persistSession();
+  timerEvents.dispatchEvent(
+    new CustomEvent("timer:interruption", {
+      detail: { ...entry, count: phaseRecord.interruptions.length },
+    })
+  );
+  return { ...entry };
+}
+
+// Interruptions of the focus phase in progress, oldest first.
+export function getPhaseInterruptions() {
+  if (commandRelay) return mirroredInterruptions.map((item) => ({ ...item }));
+  if (!phaseRecord || !phaseRecord.interruptions) return [];
+  return phaseRecord.interruptions.map((item) => ({ ...item }));
+}
+
 export function onTimerEvent(type, listener) {
   timerEvents.addEventListener(type, listener);
 }
 
+// Background tabs may not tick for minutes; settle the clock as soon as the
+// page is visible again instead of waiting for the next throttled interval.
+if (typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) handleTick();
+  });
+}
+
 export function performPrimaryAction() {
-  primeDeferredSounds();
+  if (relay("performPrimaryAction")) return;
+  audio.primeDeferredSounds();
 
   if (timerState.status === "running") {
     pauseTimer();
@@ -270,34 +574,352 @@ export function performPrimaryAction() {
   }
 
   if (timerState.status === "waiting") {
-    startFocus(
-      "Next focus started — " + timerState.cyclesLeft + " cycles left."
-    );
+    startSegment(timerState.segmentIndex);
+    emit(describeSegmentStart());
     return;
   }
 
-  startFocus("Timer started");
+  startSegment(0);
+  emit("Timer started");
 }
 
 export function resetTimer() {
+  if (relay("resetTimer")) return;
+  finishPhaseRecord("reset");
   clearTicker();
-  stopMetronome();
-  stopRelaxAmbient();
-  stopCountdownSound();
+  stopPhaseAudio();
   initializeFromPlan();
   emit("Timer reset");
 }
 
 export function applyPlanSettings() {
+  if (relay("applyPlanSettings")) return;
+  finishPhaseRecord("reset");
   clearTicker();
-  stopMetronome();
-  stopRelaxAmbient();
-  stopCountdownSound();
+  stopPhaseAudio();
   initializeFromPlan();
   emit();
 }
 
+/* ---------- phase navigation ---------- */
+
+function canNavigate() {
+  return ["running", "paused", "waiting"].includes(timerState.status);
+}
+
+// Leaves the current segment and starts another one straight away; the
+// abandoned segment is logged with the given outcome.
+function jumpToSegment(index, outcome, message) {
+  finishPhaseRecord(outcome);
+  clearTicker();
+  stopPhaseAudio();
+
+  if (index >= sequence.length) {
+    audio.playModeSwitchSound("ready");
+    initializeFromPlan();
+    emit(message + " Plan finished.");
+    return;
+  }
+
+  startSegment(index);
+  emit(message);
+}
+
+export function skipPhase() {
+  if (relay("skipPhase")) return;
+  if (!canNavigate()) return;
+  const nextIndex = timerState.segmentIndex + 1;
+  const next = sequence[nextIndex];
+  jumpToSegment(
+    nextIndex,
+    "skipped",
+    next
+      ? `${timerState.segmentLabel} skipped — ${segmentLabel(next)} started.`
+      : `${timerState.segmentLabel} skipped.`
+  );
+}
+
+export function restartPhase() {
+  if (relay("restartPhase")) return;
+  if (!canNavigate()) return;
+  jumpToSegment(
+    timerState.segmentIndex,
+    "reset",
+    `${timerState.segmentLabel} restarted`
+  );
+}
+
+export function previousPhase() {
+  if (relay("previousPhase")) return;
+  if (!canNavigate()) return;
+  const index = Math.max(timerState.segmentIndex - 1, 0);
+  jumpToSegment(index, "reset", `Back to ${segmentLabel(sequence[index])}`);
+}
+
+// Adds (or with a negative value removes) minutes from the running or paused
+// phase. At least one second is always left so the phase ends normally.
+export function adjustPhaseTime(deltaMinutes) {
+  if (relay("adjustPhaseTime", [deltaMinutes])) return;
+  if (timerState.status !== "running" && timerState.status !== "paused") {
+    return;
+  }
+
+  const current = now();
+  const remainingMs =
+    timerState.status === "running"
+      ? timerState.endsAt - current
+      : timerState.pausedRemainingMs;
+  const nextRemainingMs = Math.max(1000, remainingMs + deltaMinutes * 60000);
+  const appliedSeconds = Math.round((nextRemainingMs - remainingMs) / 1000);
+
+  if (timerState.status === "running") {
+    timerState.endsAt = current + nextRemainingMs;
+    timerState.remainingSeconds = secondsUntil(timerState.endsAt, current);
+  } else {
+    timerState.pausedRemainingMs = nextRemainingMs;
+    timerState.remainingSeconds = Math.ceil(nextRemainingMs / 1000);
+  }
+
+  timerState.durationSeconds = Math.max(
+    timerState.durationSeconds + appliedSeconds,
+    timerState.remainingSeconds
+  );
+  if (phaseRecord) phaseRecord.plannedSeconds += appliedSeconds;
+  // Beeps already queued for the old end time no longer apply.
+  audio.stopCountdownSound();
+
+  const amount =
+    Math.abs(appliedSeconds) >= 60
+      ? `${Math.round(Math.abs(appliedSeconds) / 60)} min`
+      : `${Math.abs(appliedSeconds)} s`;
+  emit(
+    appliedSeconds >= 0
+      ? `+${amount} added to ${timerState.segmentLabel}`
+      : `${amount} removed from ${timerState.segmentLabel}`
+  );
+}
+
+/* ---------- session persistence ---------- */
+
+// Only what cannot be re-derived is stored: while running, the end
+// timestamp alone pins down the remaining time.
+function createSessionSnapshot() {
+  return {
+    status: timerState.status,
+    segmentIndex: timerState.segmentIndex,
+    durationSeconds: timerState.durationSeconds,
+    remainingSeconds:
+      timerState.status === "running" ? null : timerState.remainingSeconds,
+    endsAt: timerState.endsAt,
+    pausedRemainingMs: timerState.pausedRemainingMs,
+    phaseRecord,
+  };
+}
+
+function persistSession() {
+  if (typeof window === "undefined" || commandRelay) return;
+  const snapshot =
+    timerState.status === "ready"
+      ? null
+      : JSON.stringify(createSessionSnapshot());
+  if (snapshot === lastSessionSnapshot) return;
+  lastSessionSnapshot = snapshot;
+
+  if (snapshot === null) {
+    localStorage.removeItem(SESSION_KEY);
+  } else {
+    localStorage.setItem(SESSION_KEY, snapshot);
+  }
+}
+
+function readSession() {
+  if (typeof window === "undefined") return null;
+  try {
+    const snapshot = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    if (
+      !snapshot ||
+      !["running", "paused", "waiting"].includes(snapshot.status)
+    )
+      return null;
+    return snapshot;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Restores the last saved session. A session that was running keeps the time
+// that passed while the page was closed, then waits paused for the user.
+// Returns null when there is nothing to restore, { expired: true } when the
+// plan finished in the meantime, or the restored timer state.
+export function restoreSession() {
+  // A following tab shows the leading tab's session instead.
+  if (commandRelay) return null;
+  const snapshot = readSession();
+  // The sequence comes from the restored plan; a snapshot that points past
+  // its end belongs to some other plan and is dropped.
+  if (!snapshot || !sequence[snapshot.segmentIndex]) return null;
+
+  clearTicker();
+  applySnapshot(snapshot);
+  timerState.isRunning = false;
+
+  if (timerState.status === "running") {
+    silent = true;
+    try {
+      handleTick();
+    } finally {
+      silent = false;
+    }
+  }
+
+  if (timerState.status === "ready") {
+    emit();
+    return { expired: true };
+  }
+
+  if (timerState.status === "running") {
+    clearTicker();
+    const current = now();
+    timerState.pausedRemainingMs = Math.max(0, timerState.endsAt - current);
+    timerState.remainingSeconds = secondsUntil(timerState.endsAt, current);
+    timerState.endsAt = null;
+    timerState.status = "paused";
+    timerState.isRunning = false;
+    // The time away counts as paused, but a reload or crash is not an
+    // interruption the user made.
+    if (phaseRecord) phaseRecord.pausedAt = current;
+    stopPhaseAudio();
+  }
+
+  emit();
+  return { expired: false, ...getTimerState() };
+}
+
+function applySnapshot(snapshot) {
+  selectSegment(snapshot.segmentIndex);
+  Object.assign(timerState, {
+    status: snapshot.status,
+    durationSeconds: snapshot.durationSeconds,
+    remainingSeconds: snapshot.remainingSeconds ?? 0,
+    endsAt: snapshot.endsAt,
+    pausedRemainingMs: snapshot.pausedRemainingMs,
+    isRunning: snapshot.status === "running",
+  });
+  phaseRecord = snapshot.phaseRecord || null;
+}
+
+/* ---------- following another timer ---------- */
+
+// The state a leading tab hands over when it closes.
+export function getSessionSnapshot() {
+  return timerState.status === "ready" ? null : createSessionSnapshot();
+}
+
+// Makes this tab follow another timer, or run its own again when relay is
+// null. The relay is called with a command name and its arguments and
+// returns whether it passed the command on.
+export function setCommandRelay(nextRelay) {
+  commandRelay = nextRelay;
+  mirroredState = null;
+  mirroredInterruptions = [];
+  clearTicker();
+  stopPhaseAudio();
+  if (!nextRelay) return;
+  phaseRecord = null;
+  initializeFromPlan();
+}
+
+function relay(command, args = []) {
+  if (!commandRelay) return false;
+  commandRelay(command, args);
+  return true;
+}
+
+// Shows a state broadcast by the timer this tab follows. Its wall-clock end
+// time keeps this display moving even while the leader is throttled in the
+// background. An audible mirror (a shared room, not another tab of this
+// browser) also plays the phase sounds itself.
+export function mirrorTimerState(
+  state,
+  interruptions = [],
+  { audible = false } = {}
+) {
+  if (!commandRelay) return;
+  const { message, ...mirrored } = state;
+  const previous = mirroredState;
+  mirroredState = mirrored;
+  mirroredInterruptions = interruptions;
+  if (audible) followMirroredSound(previous, mirrored);
+  clearTicker();
+  if (mirrored.status === "running" && mirrored.endsAt) {
+    tickerId = clock.setInterval(followMirroredClock, TICK_INTERVAL_MS);
+  }
+  dispatchUpdate(state);
+}
+
+function followMirroredSound(previous, next) {
+  const samePhase =
+    previous &&
+    previous.segmentIndex === next.segmentIndex &&
+    previous.phase === next.phase;
+  if (previous && samePhase && previous.status === next.status) return;
+
+  if (next.status === "running") {
+    // Joining mid-phase or resuming picks the ambience up quietly.
+    if (previous && !samePhase) audio.playModeSwitchSound(next.phase);
+    startPhaseAudio(next.phase);
+    return;
+  }
+  stopPhaseAudio();
+  if (!previous) return;
+  if (next.status === "paused") audio.playModeSwitchSound("paused");
+  if (next.status === "waiting") audio.playModeSwitchSound("waiting");
+  if (next.status === "ready" && previous.status !== "ready") {
+    audio.playModeSwitchSound("ready");
+  }
+}
+
+function followMirroredClock() {
+  const remaining = secondsUntil(mirroredState.endsAt);
+  if (remaining === mirroredState.remainingSeconds) return;
+  mirroredState = {
+    ...mirroredState,
+    totalRemainingSeconds:
+      mirroredState.totalRemainingSeconds -
+      (mirroredState.remainingSeconds - remaining),
+    remainingSeconds: remaining,
+  };
+  dispatchUpdate({ ...mirroredState });
+}
+
+// Continues the session a closing or vanished leader left behind, or one a
+// tab handed over when it stepped back to follow. Unlike a restore after a
+// reload it keeps running: the hand-over is meant to go unnoticed. Phases
+// that ended in between are caught up on first.
+export function takeOverSession(snapshot = readSession()) {
+  clearTicker();
+  initializeFromPlan();
+  lastSessionSnapshot = null;
+  if (!snapshot || !sequence[snapshot.segmentIndex]) {
+    emit();
+    return;
+  }
+
+  applySnapshot(snapshot);
+  if (timerState.status === "running") {
+    const index = timerState.segmentIndex;
+    handleTick();
+    // handleTick starts audio and ticker itself when it moves on.
+    if (timerState.status === "running" && timerState.segmentIndex === index) {
+      startPhaseAudio(timerState.phase);
+      startTicker();
+    }
+  }
+  emit();
+}
+
 export function getTimerState() {
+  if (mirroredState) return { ...mirroredState };
   return {
     ...timerState,
     statusLabel: deriveStatusLabel(),
@@ -0,0 +1,43 @@
+// toast.js
+// Shared transient status message shown at the bottom of the screen.
+
+const DEFAULT_DURATION = 2400;
+
+let toastTimeout;
+
+// An optional action turns the toast into a button bar; pass duration: 0 to
+// keep it on screen until the action is taken.
+export function showToast(message, options = {}) {
+  const node = document.getElementById("toast");
+  if (!node) return;
+  const { actionLabel, onAction, duration = DEFAULT_DURATION } = options;
+  clearTimeout(toastTimeout);
+
+  if (actionLabel) {
+    const text = document.createElement("span");
+    text.textContent = message;
+    const action = document.createElement("button");
+    action.className = "toast-action";
+    action.textContent = actionLabel;
+    action.addEventListener("click", () => {
+      hideToast();
+      if (onAction) onAction();
+    });
+    node.replaceChildren(text, action);
+  } else {
+    node.textContent = message;
+  }
+  node.classList.toggle("actionable", Boolean(actionLabel));
+  node.classList.add("visible");
+
+  if (duration > 0) {
+    toastTimeout = setTimeout(hideToast, duration);
+  }
+}
+
+export function hideToast() {
+  const node = document.getElementById("toast");
+  if (!node) return;
+  clearTimeout(toastTimeout);
+  node.classList.remove("visible", "actionable");
+}
@@ -2,12 +2,21 @@
 // Handles DOM interactions, layout logic, and rendering of timer state and sidebar controls.
 
 import {
+  PLAN_LIMITS,
   getPlanSettings,
   updatePlanSettings,
   getPreferences,
   updatePreferences,
   getTheme,
   setTheme,
+  getSavedPlans,
+  getSavedPlan,
+  savePlan,
+  renamePlan,
+  duplicatePlan,
+  deletePlan,
+  moveSavedPlan,
+  onStateEvent,
 } from "./state.js";
 import {
   onTimerEvent,
@@ -15,16 +24,52 @@ import {
   resetTimer,
   applyPlanSettings,
   getTimerState,
+  restoreSession,
+  skipPhase,
+  restartPhase,
+  previousPhase,
+  adjustPhaseTime,
 } from "./timer.js";
-
-const pickerLimits = {
-  focusMinutes: { min: 5, max: 120 },
-  relaxMinutes: { min: 1, max: 60 },
-  cycles: { min: 1, max: 12 },
+import { initStatsPanel, renderStats } from "./stats.js";
+import { initBackupPanel } from "./backup.js";
+import { showToast } from "./toast.js";
+import { initShortcuts } from "./shortcuts.js";
+import { initNotificationsPanel } from "./notifications.js";
+import { initSoundPanel } from "./soundpanel.js";
+import { initAlertsPanel } from "./alerts.js";
+import { initTasksPanel } from "./tasks.js";
+import { initGoalPanel } from "./goal.js";
+import { initInterruptionLog, focusInterruptionLog } from "./interruptions.js";
+import { drawFavicon, resetFavicon } from "./favicon.js";
+import { initAccountPanel } from "./account.js";
+import { initRoomPanel } from "./room.js";
+import { copyPlanLink } from "./links.js";
+import {
+  buildSequence,
+  hasLongBreaks,
+  sequenceSeconds,
+  SEGMENT_TYPES,
+  SEGMENT_SOUNDS,
+} from "./sequence.js";
+
+const SEGMENT_TYPE_LABELS = {
+  focus: "Focus",
+  relax: "Break",
+  longRelax: "Long break",
 };
+const SEGMENT_SOUND_LABELS = {
+  focus: "Focus chime",
+  relax: "Break chime",
+  longRelax: "Long break chime",
+  none: "No sound",
+};
+
+// Step sizes for the extend / shorten phase buttons.
+const EXTEND_MINUTES = 5;
+const SHORTEN_MINUTES = 1;
 
-let pickerValues = { ...getPlanSettings() };
-let toastTimeout;
+// Filled in by initUI, after a plan link may have changed the plan.
+let pickerValues = null;
 
 export function initUI() {
   const body = document.body;
@@ -34,6 +79,11 @@ export function initUI() {
   const statusLabel = document.getElementById("status-label");
   const primaryButton = document.getElementById("primary-action");
   const resetButton = document.getElementById("reset-action");
+  const previousPhaseButton = document.getElementById("previous-phase");
+  const restartPhaseButton = document.getElementById("restart-phase");
+  const shortenPhaseButton = document.getElementById("shorten-phase");
+  const extendPhaseButton = document.getElementById("extend-phase");
+  const skipPhaseButton = document.getElementById("skip-phase");
   const timerCircle = document.getElementById("timer-circle");
   const progressCircle = document.querySelector(".ring-progress");
   const circumference = 2 * Math.PI * 108;
@@ -46,15 +96,25 @@ export function initUI() {
   const summary = document.getElementById("plan-summary");
   const applyPlanButton = document.getElementById("apply-plan");
   const savePlanButton = document.getElementById("save-plan");
+  const copyLinkButton = document.getElementById("copy-plan-link");
   const autoCycleToggle = document.getElementById("auto-cycle");
   const soundToggle = document.getElementById("sound-toggle");
+  const titleToggle = document.getElementById("title-toggle");
+  const faviconToggle = document.getElementById("favicon-toggle");
   const themeToggleButton = document.getElementById("theme-toggle");
   const themeIcon = document.getElementById("theme-icon");
   const themeText = document.getElementById("theme-text");
-  const signInButton = document.getElementById("sign-in");
-  const toast = document.getElementById("toast");
   const cyclesLeftNode = document.getElementById("cycles-left");
   const totalRemainingNode = document.getElementById("total-remaining");
+  const planList = document.getElementById("plan-list");
+  const planListEmpty = document.getElementById("plan-list-empty");
+  const resumePrompt = document.getElementById("resume-prompt");
+  const resumeText = document.getElementById("resume-text");
+  const resumeButton = document.getElementById("resume-session");
+  const discardButton = document.getElementById("discard-session");
+
+  const defaultTitle = document.title;
+  pickerValues = clonePlan(getPlanSettings());
 
   progressCircle.style.strokeDasharray = circumference.toString();
 
@@ -78,6 +138,35 @@ export function initUI() {
     )}`;
   };
 
+  // Navigation needs a plan in progress; changing time needs a live phase.
+  const updatePhaseControls = (state) => {
+    const inProgress = state.status !== "ready";
+    const hasClock = state.status === "running" || state.status === "paused";
+    previousPhaseButton.disabled = !inProgress;
+    restartPhaseButton.disabled = !inProgress;
+    skipPhaseButton.disabled = !inProgress;
+    shortenPhaseButton.disabled = !hasClock;
+    extendPhaseButton.disabled = !hasClock;
+  };
+
+  // Background tabs only show the title and icon, so both mirror the timer.
+  const updateTabStatus = (state) => {
+    const { liveTitle, liveFavicon } = getPreferences();
+    const idle = state.status === "ready";
+
+    document.title =
+      liveTitle && !idle ? describeTabTitle(state) : defaultTitle;
+
+    if (liveFavicon && !idle) {
+      const color = getComputedStyle(body)
+        .getPropertyValue("--tone-color")
+        .trim();
+      drawFavicon(state.remainingSeconds / (state.durationSeconds || 1), color);
+    } else {
+      resetFavicon();
+    }
+  };
+
   const updateDisplay = (state, message) => {
     timeOutput.textContent = formatTime(state.remainingSeconds);
     statusLabel.textContent = state.statusLabel;
@@ -85,8 +174,10 @@ export function initUI() {
     updateProgress(state);
     updateTone(state.tone);
     updateCycleInfo(state);
+    updatePhaseControls(state);
+    updateTabStatus(state);
     if (message) {
-      showToast(message, toast);
+      showToast(message);
     }
   };
 
@@ -109,6 +200,16 @@ export function initUI() {
     resetTimer();
   });
 
+  previousPhaseButton.addEventListener("click", () => previousPhase());
+  restartPhaseButton.addEventListener("click", () => restartPhase());
+  skipPhaseButton.addEventListener("click", () => skipPhase());
+  shortenPhaseButton.addEventListener("click", () =>
+    adjustPhaseTime(-SHORTEN_MINUTES)
+  );
+  extendPhaseButton.addEventListener("click", () =>
+    adjustPhaseTime(EXTEND_MINUTES)
+  );
+
   sidebarToggle.addEventListener("click", () => openSidebar(body));
   sidebarClose.addEventListener("click", () => closeSidebar(body));
   overlay.addEventListener("click", () => closeSidebar(body));
@@ -118,7 +219,7 @@ export function initUI() {
     }
   });
 
-  // Sidebar tab buttons toggle Configure/Select panels.
+  // Sidebar tab buttons toggle Configure/Select/Stats/Tasks panels.
   tabs.forEach((tab) => {
     tab.addEventListener("click", () => {
       const target = tab.dataset.tab;
@@ -130,32 +231,98 @@ export function initUI() {
       panels.forEach((panel) => {
         panel.classList.toggle("active", panel.id === `${target}-panel`);
       });
+      if (target === "stats") renderStats();
     });
   });
 
+  initStatsPanel();
+  initBackupPanel();
+  initSoundPanel();
+  initAlertsPanel();
+  initNotificationsPanel();
+  initTasksPanel();
+  initInterruptionLog();
+  initGoalPanel();
+  initAccountPanel();
+  initRoomPanel();
+
   // Number pickers with keyboard input and long-press step controls.
   pickers.forEach((picker) => setupPicker(picker, summary));
 
+  // Optional segment list that replaces the repeated focus/relax cycles.
+  setupSequenceEditor(summary);
+
   updateSummaryText(summary);
 
   applyPlanButton.addEventListener("click", () => {
-    updatePlanSettings({
-      focusMinutes: pickerValues.focusMinutes,
-      relaxMinutes: pickerValues.relaxMinutes,
-      cycles: pickerValues.cycles,
-    });
+    updatePlanSettings(getPickerPlan());
     applyPlanSettings();
     closeSidebar(body);
-    showToast("Plan applied", toast);
+    showToast("Plan applied");
   });
 
   savePlanButton.addEventListener("click", () => {
-    showToast("Plan saved (placeholder)", toast);
+    const name = window.prompt("Plan name", describePlan(pickerValues));
+    if (name === null) return;
+    const entry = savePlan(name, getPickerPlan());
+    showToast(`Plan “${entry.name}” saved`);
   });
 
-  const preferences = getPreferences();
-  autoCycleToggle.checked = preferences.autoCycle;
-  soundToggle.checked = preferences.sound;
+  // Shares what the pickers show, applied or not.
+  copyLinkButton.addEventListener("click", () => copyPlanLink(getPickerPlan()));
+
+  // Saved plans list in the Select tab: one click loads and applies a plan.
+  renderSavedPlans(planList, planListEmpty);
+  onStateEvent("plans:change", () =>
+    renderSavedPlans(planList, planListEmpty)
+  );
+  // The pickers follow every plan change: another tab, a loaded plan or an
+  // imported backup.
+  onStateEvent("plan:change", () => syncPickers(pickers, summary));
+
+  planList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    if (!button) return;
+    const { action, id } = button.dataset;
+    const entry = getSavedPlan(id);
+    if (!entry) return;
+
+    if (action === "load") {
+      loadSavedPlan(entry);
+      closeSidebar(body);
+      showToast(`Plan “${entry.name}” loaded`);
+      return;
+    }
+    if (action === "rename") {
+      const name = window.prompt("Rename plan", entry.name);
+      if (name !== null) renamePlan(id, name);
+      return;
+    }
+    if (action === "duplicate") {
+      duplicatePlan(id);
+      return;
+    }
+    if (action === "delete") {
+      if (window.confirm(`Delete “${entry.name}”?`)) deletePlan(id);
+      return;
+    }
+    if (action === "up" || action === "down") {
+      const index = getSavedPlans().findIndex((item) => item.id === id);
+      moveSavedPlan(id, action === "up" ? index - 1 : index + 1);
+    }
+  });
+
+  const syncPreferenceToggles = (preferences) => {
+    autoCycleToggle.checked = preferences.autoCycle;
+    soundToggle.checked = preferences.sound;
+    titleToggle.checked = preferences.liveTitle;
+    faviconToggle.checked = preferences.liveFavicon;
+  };
+  syncPreferenceToggles(getPreferences());
+  onStateEvent("preferences:change", (event) => {
+    syncPreferenceToggles(event.detail.preferences);
+    updateTabStatus(getTimerState());
+  });
 
   autoCycleToggle.addEventListener("change", () => {
     updatePreferences({ autoCycle: autoCycleToggle.checked });
@@ -165,20 +332,92 @@ export function initUI() {
     updatePreferences({ sound: soundToggle.checked });
   });
 
+  titleToggle.addEventListener("change", () => {
+    updatePreferences({ liveTitle: titleToggle.checked });
+  });
+
+  faviconToggle.addEventListener("change", () => {
+    updatePreferences({ liveFavicon: faviconToggle.checked });
+  });
+
   const currentTheme = getTheme();
   applyTheme(body, currentTheme, themeIcon, themeText, themeToggleButton);
 
-  themeToggleButton.addEventListener("click", () => {
-    const nextTheme = getTheme() === "night" ? "day" : "night";
-    setTheme(nextTheme);
-    applyTheme(body, nextTheme, themeIcon, themeText, themeToggleButton);
+  onStateEvent("theme:change", (event) =>
+    applyTheme(
+      body,
+      event.detail.theme,
+      themeIcon,
+      themeText,
+      themeToggleButton
+    )
+  );
+
+  themeToggleButton.addEventListener("click", () => toggleTheme());
+
+  // Global keyboard shortcuts; number keys load saved plans by position.
+  initShortcuts({
+    toggle: () => performPrimaryAction(),
+    reset: () => resetTimer(),
+    skip: () => skipPhase(),
+    extend: () => adjustPhaseTime(EXTEND_MINUTES),
+    shorten: () => adjustPhaseTime(-SHORTEN_MINUTES),
+    interrupt: () => focusInterruptionLog(),
+    theme: () => toggleTheme(),
+    mute: () => {
+      const sound = !getPreferences().sound;
+      updatePreferences({ sound });
+      showToast(sound ? "Sound on" : "Sound muted");
+    },
+    loadPlan: (index) => {
+      const entry = getSavedPlans()[index];
+      if (!entry) {
+        showToast(`No saved plan #${index + 1}`);
+        return;
+      }
+      loadSavedPlan(entry);
+      showToast(`Plan “${entry.name}” loaded`);
+    },
   });
 
-  signInButton.addEventListener("click", () => {
-    showToast("Sign in coming soon", toast);
+  // Offer to pick up a session that was interrupted by a reload or crash.
+  const restored = restoreSession();
+  if (restored && restored.expired) {
+    showToast("Your last plan finished while the app was closed");
+  } else if (restored) {
+    resumeText.textContent = describeRestoredSession(restored);
+    resumePrompt.hidden = false;
+  }
+
+  const hideResumePrompt = () => {
+    resumePrompt.hidden = true;
+  };
+
+  resumeButton.addEventListener("click", () => {
+    hideResumePrompt();
+    performPrimaryAction();
+  });
+
+  discardButton.addEventListener("click", () => {
+    hideResumePrompt();
+    resetTimer();
+  });
+
+  onTimerEvent("timer:update", (event) => {
+    const { status } = event.detail;
+    if (status !== "paused" && status !== "waiting") hideResumePrompt();
   });
 }
 
+function describeRestoredSession(state) {
+  if (state.status === "waiting") {
+    return `Cycle finished — ${state.cyclesLeft} cycles left. Continue?`;
+  }
+  return `You were in ${state.segmentLabel}, ${formatTime(
+    state.remainingSeconds
+  )} left — resume?`;
+}
+
 function setupPicker(picker, summaryNode) {
   const field = picker.dataset.field;
   const input = picker.querySelector("[data-field-value]");
@@ -188,7 +427,7 @@ function setupPicker(picker, summaryNode) {
   let holdTimeout;
 
   const stepValue = (delta) => {
-    const limits = pickerLimits[field];
+    const limits = PLAN_LIMITS[field];
     const next = clamp(
       parseInt(input.value, 10) + delta,
       limits.min,
@@ -227,14 +466,14 @@ function setupPicker(picker, summaryNode) {
   });
 
   input.addEventListener("input", () => {
-    const limits = pickerLimits[field];
+    const limits = PLAN_LIMITS[field];
     const parsed = parseInt(input.value || "0", 10);
     pickerValues[field] = clamp(parsed, limits.min, limits.max);
     updateSummaryText(summaryNode);
   });
 
   input.addEventListener("blur", () => {
-    const limits = pickerLimits[field];
+    const limits = PLAN_LIMITS[field];
     pickerValues[field] = clamp(
       parseInt(input.value, 10) || limits.min,
       limits.min,
@@ -245,7 +484,297 @@ function setupPicker(picker, summaryNode) {
   });
 }
 
-function formatTime(totalSeconds) {
+function syncPickers(pickers, summaryNode) {
+  pickerValues = clonePlan(getPlanSettings());
+  pickers.forEach((picker) => {
+    const input = picker.querySelector("[data-field-value]");
+    input.value = pickerValues[picker.dataset.field];
+  });
+  renderSequenceEditor();
+  updateSummaryText(summaryNode);
+}
+
+// Segments are edited in place, so the picker copy must not share them.
+function clonePlan(plan) {
+  return {
+    ...plan,
+    segments: plan.segments
+      ? plan.segments.map((segment) => ({ ...segment }))
+      : null,
+  };
+}
+
+function getPickerPlan() {
+  const {
+    focusMinutes,
+    relaxMinutes,
+    cycles,
+    longBreakMinutes,
+    longBreakInterval,
+    segments,
+  } = clonePlan(pickerValues);
+  return {
+    focusMinutes,
+    relaxMinutes,
+    cycles,
+    longBreakMinutes,
+    longBreakInterval,
+    segments,
+  };
+}
+
+function setupSequenceEditor(summaryNode) {
+  const toggle = document.getElementById("sequence-toggle");
+  const list = document.getElementById("segment-list");
+  const addButton = document.getElementById("add-segment");
+
+  toggle.addEventListener("change", () => {
+    pickerValues.segments = toggle.checked
+      ? buildSequence({ ...pickerValues, segments: null })
+      : null;
+    renderSequenceEditor();
+    updateSummaryText(summaryNode);
+  });
+
+  addButton.addEventListener("click", () => {
+    const last = pickerValues.segments[pickerValues.segments.length - 1];
+    const type = last && last.type === "focus" ? "relax" : "focus";
+    pickerValues.segments.push({
+      type,
+      minutes:
+        type === "focus"
+          ? pickerValues.focusMinutes
+          : pickerValues.relaxMinutes,
+      label: "",
+      sound: type,
+    });
+    renderSequenceEditor();
+    updateSummaryText(summaryNode);
+  });
+
+  // Text and number fields update in place so typing keeps focus.
+  list.addEventListener("input", (event) => {
+    const field = event.target.dataset.segmentField;
+    if (field !== "label" && field !== "minutes") return;
+    const segment = pickerValues.segments[getSegmentIndex(event.target)];
+    if (field === "label") {
+      segment.label = event.target.value;
+    } else {
+      const limits = PLAN_LIMITS.segmentMinutes;
+      segment.minutes = clamp(
+        parseInt(event.target.value, 10) || limits.min,
+        limits.min,
+        limits.max
+      );
+    }
+    updateSummaryText(summaryNode);
+  });
+
+  list.addEventListener("change", (event) => {
+    const field = event.target.dataset.segmentField;
+    const segment = pickerValues.segments[getSegmentIndex(event.target)];
+    if (field === "type") {
+      // Keep the start sound in step with the type unless it was customised.
+      if (segment.sound === segment.type) segment.sound = event.target.value;
+      segment.type = event.target.value;
+    } else if (field === "sound") {
+      segment.sound = event.target.value;
+    } else if (field === "minutes") {
+      event.target.value = segment.minutes;
+      return;
+    } else {
+      return;
+    }
+    renderSequenceEditor();
+    updateSummaryText(summaryNode);
+  });
+
+  list.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-segment-action]");
+    if (!button) return;
+    const index = getSegmentIndex(button);
+    const segments = pickerValues.segments;
+    const action = button.dataset.segmentAction;
+
+    if (action === "remove") {
+      segments.splice(index, 1);
+      if (segments.length === 0) pickerValues.segments = null;
+    } else {
+      const target = action === "up" ? index - 1 : index + 1;
+      if (target < 0 || target >= segments.length) return;
+      [segments[index], segments[target]] = [segments[target], segments[index]];
+    }
+    renderSequenceEditor();
+    updateSummaryText(summaryNode);
+  });
+
+  renderSequenceEditor();
+}
+
+function getSegmentIndex(node) {
+  return Number(node.closest(".segment-row").dataset.index);
+}
+
+function renderSequenceEditor() {
+  const toggle = document.getElementById("sequence-toggle");
+  const list = document.getElementById("segment-list");
+  const addButton = document.getElementById("add-segment");
+  const pickerGroups = document.querySelectorAll(".pickers");
+  const segments = pickerValues.segments;
+  const enabled = Array.isArray(segments) && segments.length > 0;
+
+  toggle.checked = enabled;
+  list.hidden = !enabled;
+  addButton.hidden = !enabled;
+  pickerGroups.forEach((group) =>
+    group.classList.toggle("is-overridden", enabled)
+  );
+  list.replaceChildren(
+    ...(enabled ? segments : []).map((segment, index) =>
+      createSegmentRow(segment, index, segments.length)
+    )
+  );
+}
+
+function createSegmentRow(segment, index, count) {
+  const row = document.createElement("li");
+  row.className = "segment-row";
+  row.dataset.index = index.toString();
+  row.dataset.type = segment.type;
+
+  const typeSelect = createSelect(
+    "type",
+    SEGMENT_TYPES,
+    SEGMENT_TYPE_LABELS,
+    segment.type
+  );
+  typeSelect.setAttribute("aria-label", `Segment ${index + 1} type`);
+
+  const minutesInput = document.createElement("input");
+  minutesInput.className = "segment-minutes";
+  minutesInput.type = "number";
+  minutesInput.inputMode = "numeric";
+  minutesInput.min = PLAN_LIMITS.segmentMinutes.min.toString();
+  minutesInput.max = PLAN_LIMITS.segmentMinutes.max.toString();
+  minutesInput.value = segment.minutes;
+  minutesInput.dataset.segmentField = "minutes";
+  minutesInput.setAttribute("aria-label", `Segment ${index + 1} minutes`);
+
+  const labelInput = document.createElement("input");
+  labelInput.className = "segment-label";
+  labelInput.type = "text";
+  labelInput.placeholder = SEGMENT_TYPE_LABELS[segment.type];
+  labelInput.value = segment.label || "";
+  labelInput.dataset.segmentField = "label";
+  labelInput.setAttribute("aria-label", `Segment ${index + 1} label`);
+
+  const soundSelect = createSelect(
+    "sound",
+    SEGMENT_SOUNDS,
+    SEGMENT_SOUND_LABELS,
+    segment.sound || segment.type
+  );
+  soundSelect.setAttribute("aria-label", `Segment ${index + 1} start sound`);
+
+  const actions = document.createElement("div");
+  actions.className = "segment-actions";
+  [
+    { action: "up", label: "↑", title: "Move up", disabled: index === 0 },
+    {
+      action: "down",
+      label: "↓",
+      title: "Move down",
+      disabled: index === count - 1,
+    },
+    { action: "remove", label: "✕", title: "Remove" },
+  ].forEach(({ action, label, title, disabled }) => {
+    const button = document.createElement("button");
+    button.className = "plan-action";
+    button.dataset.segmentAction = action;
+    button.textContent = label;
+    button.title = title;
+    button.disabled = Boolean(disabled);
+    button.setAttribute("aria-label", `${title} segment ${index + 1}`);
+    actions.append(button);
+  });
+
+  row.append(typeSelect, minutesInput, labelInput, soundSelect, actions);
+  return row;
+}
+
+function createSelect(field, values, labels, selected) {
+  const select = document.createElement("select");
+  select.className = "select-input segment-select";
+  select.dataset.segmentField = field;
+  values.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = labels[value];
+    option.selected = value === selected;
+    select.append(option);
+  });
+  return select;
+}
+
+function loadSavedPlan(entry) {
+  updatePlanSettings({ segments: null, ...entry.plan });
+  updatePreferences(entry.preferences);
+  applyPlanSettings();
+}
+
+function renderSavedPlans(listNode, emptyNode) {
+  const plans = getSavedPlans();
+  emptyNode.hidden = plans.length > 0;
+  listNode.replaceChildren(
+    ...plans.map((entry, index) =>
+      createSavedPlanItem(entry, index === 0, index === plans.length - 1)
+    )
+  );
+}
+
+function createSavedPlanItem(entry, isFirst, isLast) {
+  const item = document.createElement("li");
+  item.className = "plan-item";
+
+  const loadButton = document.createElement("button");
+  loadButton.className = "plan-load";
+  loadButton.dataset.action = "load";
+  loadButton.dataset.id = entry.id;
+  loadButton.setAttribute("aria-label", `Load and apply ${entry.name}`);
+
+  const name = document.createElement("span");
+  name.className = "plan-name";
+  name.textContent = entry.name;
+  const meta = document.createElement("span");
+  meta.className = "plan-meta";
+  meta.textContent = describePlan(entry.plan);
+  loadButton.append(name, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "plan-actions";
+  [
+    { action: "up", label: "↑", title: "Move up", disabled: isFirst },
+    { action: "down", label: "↓", title: "Move down", disabled: isLast },
+    { action: "rename", label: "✎", title: "Rename" },
+    { action: "duplicate", label: "⧉", title: "Duplicate" },
+    { action: "delete", label: "✕", title: "Delete" },
+  ].forEach(({ action, label, title, disabled }) => {
+    const button = document.createElement("button");
+    button.className = "plan-action";
+    button.dataset.action = action;
+    button.dataset.id = entry.id;
+    button.textContent = label;
+    button.title = title;
+    button.disabled = Boolean(disabled);
+    button.setAttribute("aria-label", `${title} ${entry.name}`);
+    actions.append(button);
+  });
+
+  item.append(loadButton, actions);
+  return item;
+}
+
+export function formatTime(totalSeconds) {
   const minutes = Math.floor(totalSeconds / 60)
     .toString()
     .padStart(2, "0");
@@ -255,7 +784,21 @@ function formatTime(totalSeconds) {
   return `${minutes}:${seconds}`;
 }
 
-function formatDurationFromSeconds(totalSeconds) {
+// "12:04 · Focus · 2/4"; the cycle part is left out for plans without focus.
+export function describeTabTitle(state) {
+  const parts = [formatTime(state.remainingSeconds), state.statusLabel];
+  if (state.totalCycles > 0) {
+    const cycle = clamp(
+      state.totalCycles - state.cyclesLeft + 1,
+      1,
+      state.totalCycles
+    );
+    parts.push(`${cycle}/${state.totalCycles}`);
+  }
+  return parts.join(" · ");
+}
+
+export function formatDurationFromSeconds(totalSeconds) {
   const minutes = Math.round(totalSeconds / 60);
   if (minutes < 60) {
     return `${minutes} min`;
@@ -272,14 +815,20 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
+export function describePlan(plan) {
+  const segments = buildSequence(plan);
+  const hasSegments = Array.isArray(plan.segments) && plan.segments.length > 0;
+  const shape = hasSegments
+    ? segments.map((segment) => segment.minutes).join(" / ")
+    : `${plan.focusMinutes} / ${plan.relaxMinutes} × ${plan.cycles}` +
+      (hasLongBreaks(plan)
+        ? ` + ${plan.longBreakMinutes} long every ${plan.longBreakInterval}`
+        : "");
+  return `${shape} ≈ ${formatDurationFromSeconds(sequenceSeconds(segments))}`;
+}
+
 function updateSummaryText(node) {
-  const focus = pickerValues.focusMinutes;
-  const relax = pickerValues.relaxMinutes;
-  const cycles = pickerValues.cycles;
-  const total = focus * cycles + relax * cycles;
-  node.textContent = `${focus} / ${relax} × ${cycles} ≈ ${formatDurationFromSeconds(
-    total * 60
-  )}`;
+  node.textContent = describePlan(pickerValues);
 }
 
 function openSidebar(body) {
@@ -290,13 +839,8 @@ function closeSidebar(body) {
   body.classList.remove("sidebar-open");
 }
 
-function showToast(message, node) {
-  clearTimeout(toastTimeout);
-  node.textContent = message;
-  node.classList.add("visible");
-  toastTimeout = setTimeout(() => {
-    node.classList.remove("visible");
-  }, 2400);
+function toggleTheme() {
+  setTheme(getTheme() === "night" ? "day" : "night");
 }
 
 function applyTheme(body, theme, iconNode, textNode, toggleButton) {
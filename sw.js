@@ -0,0 +1,148 @@
+// sw.js
+// Service worker that precaches the app for offline use and routes notification clicks and action buttons back to the app.
+
+// Bump in every change that touches a shipped file. A new worker is only
+// installed when this file changes, and the new name gives the release a
+// cache of its own; activate deletes the old one.
+const CACHE_VERSION = "pomodoro-v17";
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "src/css/styles.css",
+  "src/js/account.js",
+  "src/js/alerts.js",
+  "src/js/backup.js",
+  "src/js/cloud.js",
+  "src/js/customsounds.js",
+  "src/js/db.js",
+  "src/js/favicon.js",
+  "src/js/goal.js",
+  "src/js/history.js",
+  "src/js/interruptions.js",
+  "src/js/links.js",
+  "src/js/main.js",
+  "src/js/notifications.js",
+  "src/js/pwa.js",
+  "src/js/room.js",
+  "src/js/sequence.js",
+  "src/js/shortcuts.js",
+  "src/js/sound.js",
+  "src/js/soundpanel.js",
+  "src/js/state.js",
+  "src/js/stats.js",
+  "src/js/sync.js",
+  "src/js/tasks.js",
+  "src/js/timer.js",
+  "src/js/toast.js",
+  "src/js/ui.js",
+  "sounds/countdown.wav",
+  "sounds/focus-start.wav",
+  "sounds/focus-switch.wav",
+  "sounds/metronome.mp3",
+  "sounds/pause.mp3",
+  "sounds/relax-ambient.mp3",
+  "sounds/relax-start.mp3",
+  "sounds/relax-switch.wav",
+  "sounds/waiting-switch.wav",
+  "icons/favicon.svg",
+  "icons/apple-touch-icon.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png",
+];
+
+// The new version installs alongside the old one and waits; the page asks it
+// to take over once the user agrees to reload. Files come from the network,
+// not the HTTP cache, so a release never precaches the one before it.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_VERSION)
+      .then((cache) =>
+        cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" }))
+        )
+      )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name !== CACHE_VERSION)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // The sync server's answers must never come from the cache.
+  if (url.pathname.startsWith("/api/")) return;
+  event.respondWith(respond(request));
+});
+
+// Cache first: everything the app needs ships in the precache, so the network
+// is only asked for what is missing, and same-origin answers are kept.
+async function respond(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  // Navigations with a query string must still find the cached page.
+  const isNavigation = request.mode === "navigate";
+  const cached = await cache.match(request, { ignoreSearch: isNavigation });
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.status === 200 && response.type === "basic") {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    if (isNavigation) {
+      const page = await cache.match("index.html");
+      if (page) return page;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(openApp(event.action, event.notification.data || {}));
+});
+
+// A plain click focuses the app; an action button is handed to the open page,
+// which decides whether it still applies.
+async function openApp(action, data) {
+  const windows = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  const client = windows[0];
+
+  if (!client) {
+    await self.clients.openWindow("./");
+    return;
+  }
+  if (action) {
+    client.postMessage({ type: "notification-action", action, ...data });
+    return;
+  }
+  await client.focus();
+}
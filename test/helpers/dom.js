@@ -0,0 +1,43 @@
+// dom.js
+// Loads index.html into jsdom and puts its window where the app modules look for browser globals.
+
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+
+const GLOBALS = [
+  "window",
+  "document",
+  "localStorage",
+  "sessionStorage",
+  "navigator",
+  "location",
+  "history",
+  "HTMLElement",
+  "HTMLInputElement",
+  "Element",
+  "Node",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+];
+
+// Call it before importing anything from src/js: modules read storage and
+// the document as they load.
+export function installDom() {
+  const html = readFileSync(
+    new URL("../../index.html", import.meta.url),
+    "utf8"
+  );
+  const dom = new JSDOM(html, {
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+  });
+  GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, {
+      value: dom.window[name],
+      configurable: true,
+      writable: true,
+    });
+  });
+  return dom;
+}
@@ -0,0 +1,32 @@
+// fake-audio.js
+// Stands in for sound.js and writes down every cue the timer asks for.
+
+const CUES = [
+  "playModeSwitchSound",
+  "playPauseSound",
+  "playSessionStartSound",
+  "startMetronome",
+  "stopMetronome",
+  "stopCountdownSound",
+  "startAmbient",
+  "stopAmbient",
+  "primeDeferredSounds",
+];
+
+// calls holds [name, ...args] for each cue; played() leaves out the stops,
+// which the timer sends defensively on every change.
+export function createFakeAudio() {
+  const calls = [];
+  const audio = Object.fromEntries(
+    CUES.map((name) => [name, (...args) => calls.push([name, ...args])])
+  );
+  return {
+    audio,
+    calls,
+    played: () =>
+      calls.filter(
+        ([name]) => !name.startsWith("stop") && name !== "primeDeferredSounds"
+      ),
+    clear: () => calls.splice(0),
+  };
+}
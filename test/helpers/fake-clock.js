@@ -0,0 +1,49 @@
+// fake-clock.js
+// A clock for timer.js that only moves when a test says so.
+
+export function createFakeClock(start = Date.UTC(2024, 0, 15, 9)) {
+  let current = start;
+  let nextId = 1;
+  // id -> { callback, ms, due }
+  const intervals = new Map();
+
+  function earliest() {
+    let found = null;
+    intervals.forEach((interval) => {
+      if (!found || interval.due < found.due) found = interval;
+    });
+    return found;
+  }
+
+  return {
+    now: () => current,
+    setInterval(callback, ms) {
+      const id = nextId;
+      nextId += 1;
+      intervals.set(id, { callback, ms, due: current + ms });
+      return id;
+    },
+    clearInterval(id) {
+      intervals.delete(id);
+    },
+    // Moves time forward, firing every interval that falls due on the way,
+    // in order. Intervals that fell behind during a jump fire once, late.
+    advance(ms) {
+      const target = current + ms;
+      for (let next = earliest(); next && next.due <= target;) {
+        current = Math.max(current, next.due);
+        next.due = current + next.ms;
+        next.callback();
+        next = earliest();
+      }
+      current = target;
+    },
+    // Moves time forward without firing anything, like a sleeping laptop.
+    jump(ms) {
+      current += ms;
+    },
+    get pendingIntervals() {
+      return intervals.size;
+    },
+  };
+}
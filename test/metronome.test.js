@@ -0,0 +1,137 @@
+// metronome.test.js
+// Synthesized metronome clicks are scheduled the way Web Audio allows.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+class MemoryStorage {
+  constructor(entries) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+class FakeParam {
+  constructor(value) {
+    this.value = value;
+  }
+
+  setValueAtTime() {}
+  linearRampToValueAtTime() {}
+  exponentialRampToValueAtTime() {}
+  cancelScheduledValues() {}
+}
+
+class FakeNode {
+  constructor(context) {
+    this.context = context;
+  }
+
+  connect() {}
+  disconnect() {}
+}
+
+// Like a browser, a scheduled source refuses to stop before it has started.
+class FakeSource extends FakeNode {
+  constructor(context) {
+    super(context);
+    this.frequency = new FakeParam(440);
+    this.playbackRate = new FakeParam(1);
+    this.started = false;
+  }
+
+  start() {
+    this.started = true;
+  }
+
+  stop() {
+    if (!this.started) {
+      throw new DOMException("Cannot stop before start", "InvalidStateError");
+    }
+    this.stopped = true;
+  }
+}
+
+const sources = [];
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = "running";
+    this.destination = new FakeNode(this);
+  }
+
+  createGain() {
+    const node = new FakeNode(this);
+    node.gain = new FakeParam(1);
+    return node;
+  }
+
+  createOscillator() {
+    const source = new FakeSource(this);
+    sources.push(source);
+    return source;
+  }
+
+  createBufferSource() {
+    return new FakeSource(this);
+  }
+
+  decodeAudioData() {
+    return Promise.reject(new Error("No audio data"));
+  }
+
+  resume() {
+    return Promise.resolve();
+  }
+}
+
+class FakeAudio {
+  constructor(src) {
+    this.src = src;
+  }
+
+  play() {
+    return Promise.resolve();
+  }
+
+  pause() {}
+}
+
+let sound;
+
+before(async () => {
+  globalThis.localStorage = new MemoryStorage({
+    "pomodoro-preferences": JSON.stringify({
+      sound: true,
+      soundSettings: { cues: { metronome: { enabled: true } } },
+    }),
+  });
+  globalThis.window = {
+    addEventListener() {},
+    AudioContext: FakeAudioContext,
+  };
+  globalThis.Audio = FakeAudio;
+  // The click sample never arrives, so every beat is synthesized.
+  globalThis.fetch = () => Promise.reject(new Error("offline"));
+  sound = await import("../src/js/sound.js");
+});
+
+after(() => sound.stopMetronome());
+
+test("synthesized clicks are started before their stop is scheduled", () => {
+  assert.doesNotThrow(() => sound.startMetronome());
+  assert.ok(sources.length > 0);
+  assert.ok(sources.every((source) => source.started && source.stopped));
+});
@@ -0,0 +1,95 @@
+// migrations.test.js
+// Settings stored by an older version are upgraded when state.js loads.
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+
+class MemoryStorage {
+  constructor(entries) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Written before settings carried a version, with values nothing checked.
+const VERSION_1 = {
+  "pomodoro-plan": JSON.stringify({
+    focusMinutes: 0,
+    relaxMinutes: 5,
+    cycles: 3,
+    segments: [],
+  }),
+  "pomodoro-preferences": JSON.stringify({
+    sound: "yes",
+    autoCycle: false,
+    dayStartHour: 30,
+  }),
+  "pomodoro-theme": "purple",
+  "pomodoro-plans": JSON.stringify([
+    {
+      id: "a",
+      name: "Kept",
+      plan: { focusMinutes: 25, segments: [{ type: "focus", minutes: 10 }] },
+      preferences: { sound: 1 },
+    },
+    { id: "b", name: "No plan" },
+    "junk",
+  ]),
+};
+
+let storage;
+let state;
+
+before(async () => {
+  storage = new MemoryStorage(VERSION_1);
+  globalThis.localStorage = storage;
+  globalThis.window = { addEventListener() {} };
+  state = await import("../src/js/state.js");
+});
+
+test("stamps the current version", () => {
+  assert.equal(storage.getItem("pomodoro-settings-version"), "2");
+});
+
+test("drops bad values so the defaults show through", () => {
+  assert.deepEqual(JSON.parse(storage.getItem("pomodoro-plan")), {
+    relaxMinutes: 5,
+    cycles: 3,
+    segments: null,
+  });
+  const plan = state.getPlanSettings();
+  assert.equal(plan.focusMinutes, 1);
+  assert.equal(plan.relaxMinutes, 5);
+
+  const preferences = state.getPreferences();
+  assert.equal(preferences.sound, true);
+  assert.equal(preferences.autoCycle, false);
+  assert.equal(preferences.dayStartHour, 0);
+  assert.equal(state.getTheme(), "night");
+  assert.equal(storage.getItem("pomodoro-theme"), null);
+});
+
+test("keeps saved plans that have a plan, repaired", () => {
+  assert.deepEqual(state.getSavedPlans(), [
+    {
+      id: "a",
+      name: "Kept",
+      plan: {
+        focusMinutes: 25,
+        segments: [{ type: "focus", minutes: 10, label: "", sound: "focus" }],
+      },
+      preferences: {},
+    },
+  ]);
+});
@@ -0,0 +1,104 @@
+// room.test.js
+// A room the server refuses on reconnect is left, not retried forever.
+
+import { before, mock, test } from "node:test";
+import assert from "node:assert/strict";
+
+class MemoryStorage {
+  constructor(entries) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Connections the app opened, newest last; the test plays the server.
+const sockets = [];
+
+class FakeWebSocket extends EventTarget {
+  static OPEN = 1;
+  static CLOSED = 3;
+
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.dispatchEvent(new Event("open"));
+  }
+
+  receive(message) {
+    const event = new Event("message");
+    event.data = JSON.stringify(message);
+    this.dispatchEvent(event);
+  }
+
+  close() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.dispatchEvent(new Event("close"));
+  }
+}
+
+const target = { addEventListener() {} };
+
+let room;
+
+before(async () => {
+  globalThis.localStorage = new MemoryStorage({
+    "pomodoro-cloud": JSON.stringify({ server: "http://localhost:8787" }),
+  });
+  globalThis.window = target;
+  globalThis.document = { ...target, getElementById: () => null };
+  globalThis.WebSocket = FakeWebSocket;
+  room = await import("../src/js/room.js");
+});
+
+test("a refusal when coming back ends the room", () => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  try {
+    room.joinRoom("abc123", "Sam");
+    const first = sockets.at(-1);
+    first.open();
+    assert.deepEqual(first.sent, [
+      { type: "join", name: "Sam", code: "ABC123" },
+    ]);
+    first.receive({ type: "welcome", code: "ABC123", host: false });
+    assert.equal(room.getRoomState().code, "ABC123");
+
+    // The connection drops; the host closes the room before we are back.
+    first.close();
+    mock.timers.tick(1000);
+    const second = sockets.at(-1);
+    assert.notEqual(second, first);
+    second.open();
+    second.receive({ type: "error", message: "No room with that code" });
+
+    assert.equal(room.getRoomState(), null);
+    assert.equal(localStorage.getItem("pomodoro-room"), null);
+    assert.equal(second.readyState, FakeWebSocket.CLOSED);
+    mock.timers.tick(30000);
+    assert.equal(sockets.at(-1), second);
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,66 @@
+// saved-plans.test.js
+// A saved plan brings back its own settings and leaves the user's others alone.
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+
+class MemoryStorage {
+  constructor(entries) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Saved before plans stopped snapshotting every preference.
+const OLD_PLAN = {
+  id: "old",
+  name: "Old",
+  plan: { focusMinutes: 50, relaxMinutes: 10, cycles: 2 },
+  preferences: { autoCycle: false, sound: false, keymap: { start: "x" } },
+};
+
+let state;
+
+before(async () => {
+  globalThis.localStorage = new MemoryStorage({
+    "pomodoro-plans": JSON.stringify([OLD_PLAN]),
+  });
+  globalThis.window = { addEventListener() {} };
+  state = await import("../src/js/state.js");
+});
+
+// What loading a plan does with its preferences.
+function load(entry) {
+  state.updatePlanSettings({ segments: null, ...entry.plan });
+  state.updatePreferences(entry.preferences);
+}
+
+test("keeps only the preferences that shape the plan", () => {
+  state.updatePreferences({ keymap: { start: "s" } });
+  const entry = state.savePlan("Deep work");
+  assert.deepEqual(Object.keys(entry.preferences).sort(), [
+    "autoCycle",
+    "sound",
+  ]);
+});
+
+test("loading a plan leaves rebound keys as they are", () => {
+  state.updatePreferences({ keymap: { skip: "n" } });
+  load(state.getSavedPlan("old"));
+
+  assert.deepEqual(state.getPreferences().keymap, { skip: "n" });
+  assert.equal(state.getPreferences().autoCycle, false);
+  assert.equal(state.getPreferences().sound, false);
+  assert.equal(state.getPlanSettings().focusMinutes, 50);
+});
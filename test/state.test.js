@@ -0,0 +1,167 @@
+// state.test.js
+// Settings updates, their validation and the events they announce.
+
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SettingsError,
+  adoptSyncedState,
+  deletePlan,
+  duplicatePlan,
+  getPlanSettings,
+  getPreferences,
+  getSavedPlans,
+  getTheme,
+  importSavedPlans,
+  moveSavedPlan,
+  onStateEvent,
+  renamePlan,
+  resetState,
+  savePlan,
+  setTheme,
+  updatePlanSettings,
+  updatePreferences,
+} from "../src/js/state.js";
+
+let events = [];
+
+["plan:change", "preferences:change", "theme:change", "plans:change"].forEach(
+  (type) =>
+    onStateEvent(type, (event) => events.push({ type, ...event.detail }))
+);
+
+beforeEach(() => {
+  resetState();
+  importSavedPlans([], { replace: true });
+  events = [];
+});
+
+describe("plan", () => {
+  test("merges updates and announces the whole plan", () => {
+    updatePlanSettings({ focusMinutes: 50, cycles: 3 });
+
+    assert.equal(getPlanSettings().focusMinutes, 50);
+    assert.equal(getPlanSettings().relaxMinutes, 1);
+    assert.deepEqual(events, [
+      { type: "plan:change", plan: getPlanSettings() },
+    ]);
+  });
+
+  test("hands out copies", () => {
+    getPlanSettings().focusMinutes = 99;
+    assert.notEqual(getPlanSettings().focusMinutes, 99);
+  });
+
+  for (const [values, field] of [
+    [{ focusMinutes: 0 }, "focusMinutes"],
+    [{ relaxMinutes: -5 }, "relaxMinutes"],
+    [{ cycles: 2.5 }, "cycles"],
+    [{ cycles: "4" }, "cycles"],
+    [{ longBreakInterval: 13 }, "longBreakInterval"],
+    [{ segments: "focus" }, "segments"],
+    [{ segments: [{ type: "nap", minutes: 5 }] }, "segments"],
+    [{ segments: [{ type: "focus", minutes: 0 }] }, "segments"],
+  ]) {
+    test(`rejects ${JSON.stringify(values)}`, () => {
+      const before = getPlanSettings();
+      assert.throws(
+        () => updatePlanSettings(values),
+        (error) => error instanceof SettingsError && error.field === field
+      );
+      assert.deepEqual(getPlanSettings(), before);
+      assert.equal(events.length, 0);
+    });
+  }
+
+  test("fills in segments and treats an empty list as none", () => {
+    updatePlanSettings({
+      segments: [{ type: "relax", minutes: 3, label: "  Warm up " }],
+    });
+    assert.deepEqual(getPlanSettings().segments, [
+      { type: "relax", minutes: 3, label: "Warm up", sound: "relax" },
+    ]);
+
+    updatePlanSettings({ segments: [] });
+    assert.equal(getPlanSettings().segments, null);
+  });
+});
+
+describe("preferences and theme", () => {
+  test("announce every change", () => {
+    updatePreferences({ sound: false });
+    setTheme("day");
+
+    assert.equal(getPreferences().sound, false);
+    assert.equal(getTheme(), "day");
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["preferences:change", "theme:change"]
+    );
+    assert.equal(events[1].theme, "day");
+    setTheme("night");
+  });
+
+  test("reject values of the wrong kind", () => {
+    assert.throws(() => updatePreferences({ sound: "loud" }), SettingsError);
+    assert.throws(() => updatePreferences({ dayStartHour: 24 }), {
+      name: "SettingsError",
+      field: "dayStartHour",
+    });
+    assert.throws(() => updatePreferences({ keymap: [] }), SettingsError);
+    assert.throws(() => setTheme("purple"), { field: "theme" });
+    assert.equal(events.length, 0);
+  });
+
+  test("keep settings they don't know about", () => {
+    updatePreferences({ fromNewerVersion: { on: true } });
+    assert.deepEqual(getPreferences().fromNewerVersion, { on: true });
+  });
+});
+
+describe("saved plans", () => {
+  test("keeps the library in order and announces each change", () => {
+    const first = savePlan("  Deep work ", { ...getPlanSettings() });
+    const second = savePlan("", { ...getPlanSettings(), cycles: 2 });
+    const copy = duplicatePlan(first.id);
+    renamePlan(second.id, "Short");
+    moveSavedPlan(second.id, 0);
+    deletePlan(copy.id);
+
+    assert.deepEqual(
+      getSavedPlans().map((entry) => entry.name),
+      ["Short", "Deep work"]
+    );
+    assert.equal(copy.name, "Deep work (copy)");
+    assert.equal(events.length, 6);
+    assert.ok(events.every((event) => event.type === "plans:change"));
+  });
+
+  test("refuses to save an invalid plan", () => {
+    assert.throws(
+      () => savePlan("Broken", { ...getPlanSettings(), focusMinutes: -1 }),
+      SettingsError
+    );
+    assert.equal(getSavedPlans().length, 0);
+  });
+});
+
+describe("synced state", () => {
+  test("is repaired rather than rejected and marked external", () => {
+    adoptSyncedState({
+      plan: { focusMinutes: 0, relaxMinutes: 7 },
+      preferences: { sound: "yes", autoCycle: false },
+    });
+
+    assert.equal(getPlanSettings().focusMinutes, 1);
+    assert.equal(getPlanSettings().relaxMinutes, 7);
+    assert.equal(getPreferences().sound, true);
+    assert.equal(getPreferences().autoCycle, false);
+    assert.deepEqual(
+      events.map(({ type, external }) => [type, external]),
+      [
+        ["plan:change", true],
+        ["preferences:change", true],
+      ]
+    );
+  });
+});
@@ -0,0 +1,60 @@
+// stats.test.js
+// Which day a session counts towards when days start late, across DST changes.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeStats,
+  dayKey,
+  startOfDay,
+  toDayTime,
+} from "../src/js/stats.js";
+
+// Clocks go forward on 29 March 2026 and back on 25 October 2026.
+process.env.TZ = "Europe/Berlin";
+
+function focus(startedAt) {
+  return {
+    phase: "focus",
+    outcome: "completed",
+    startedAt: startedAt.getTime(),
+    actualSeconds: 25 * 60,
+    interruptions: [],
+  };
+}
+
+describe("days that start at 4 am", () => {
+  for (const [label, at, day] of [
+    ["after the boundary on a short day", [2026, 2, 29, 4, 30], "2026-03-29"],
+    ["before the boundary on a short day", [2026, 2, 29, 3, 30], "2026-03-28"],
+    ["after the boundary on a long day", [2026, 9, 25, 4, 30], "2026-10-25"],
+    ["before the boundary on a long day", [2026, 9, 25, 3, 30], "2026-10-24"],
+  ]) {
+    test(`a session ${label} counts for ${day}`, () => {
+      assert.equal(dayKey(toDayTime(new Date(...at).getTime(), 4)), day);
+    });
+  }
+
+  test("start at the local hour on both sides of a change", () => {
+    const start = new Date(startOfDay(new Date(2026, 2, 29, 9).getTime(), 4));
+    assert.equal(start.getDate(), 29);
+    assert.equal(start.getHours(), 4);
+
+    const late = new Date(startOfDay(new Date(2026, 9, 26, 1).getTime(), 4));
+    assert.equal(late.getDate(), 25);
+    assert.equal(late.getHours(), 4);
+  });
+
+  test("keep a streak running through the change", () => {
+    const entries = [
+      focus(new Date(2026, 2, 27, 22)),
+      focus(new Date(2026, 2, 28, 4, 15)),
+      focus(new Date(2026, 2, 29, 4, 15)),
+    ];
+    const stats = computeStats(entries, new Date(2026, 2, 29, 12).getTime(), {
+      dayStartHour: 4,
+    });
+    assert.equal(stats.currentStreak, 3);
+    assert.equal(stats.todayPomodoros, 1);
+  });
+});
@@ -0,0 +1,31 @@
+// store.test.js
+// The sync server's file store keeps saving after a write has failed.
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { openStore } from "../server/store.mjs";
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "pomodoro-store-"));
+
+after(() => fs.rm(directory, { recursive: true, force: true }));
+
+test("a save after a failed write is written", async () => {
+  const dataDirectory = path.join(directory, "data");
+  const file = path.join(dataDirectory, "store.json");
+  const store = await openStore(file);
+
+  // A plain file where the data directory should be makes the write fail.
+  await fs.writeFile(dataDirectory, "");
+  await assert.rejects(
+    store.createAccount({ id: "a", email: "a@example.com" })
+  );
+
+  await fs.rm(dataDirectory);
+  await store.createAccount({ id: "b", email: "b@example.com" });
+
+  const saved = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.deepEqual(Object.keys(saved.accounts).sort(), ["a", "b"]);
+});
@@ -0,0 +1,126 @@
+// sync.test.js
+// Two tabs that both took the lead: the one stepping back hands its session over.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Open channels would keep the test process alive once the tests are done.
+class TestChannel extends BroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+}
+
+function createTarget() {
+  const listeners = {};
+  return {
+    hidden: false,
+    addEventListener(type, listener) {
+      (listeners[type] ||= []).push(listener);
+    },
+    fire(type, event = {}) {
+      (listeners[type] || []).forEach((listener) => listener(event));
+    },
+  };
+}
+
+let timer;
+let otherTab;
+let messages;
+
+// Polls until `find` returns something, failing after a second.
+function waitFor(find) {
+  const deadline = Date.now() + 1000;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const found = find();
+      if (found) {
+        resolve(found);
+      } else if (Date.now() > deadline) {
+        reject(new Error("Timed out"));
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+}
+
+function nextMessage(type) {
+  return waitFor(() => messages.find((message) => message.type === type));
+}
+
+function waitForStatus(status) {
+  return waitFor(() => timer.getTimerState().status === status);
+}
+
+before(async () => {
+  globalThis.localStorage = new MemoryStorage();
+  globalThis.window = createTarget();
+  globalThis.document = createTarget();
+  globalThis.BroadcastChannel = TestChannel;
+
+  timer = await import("../src/js/timer.js");
+  const { initSync } = await import("../src/js/sync.js");
+  initSync();
+
+  messages = [];
+  otherTab = new TestChannel("pomodoro-sync");
+  otherTab.addEventListener("message", (event) => messages.push(event.data));
+});
+
+after(() => {
+  timer.resetTimer();
+  window.fire("pagehide");
+  otherTab.close();
+});
+
+test("a leader that finds another tab's lease hands over its session", async () => {
+  timer.performPrimaryAction();
+  assert.equal(timer.getTimerState().status, "running");
+
+  localStorage.setItem(
+    "pomodoro-leader",
+    JSON.stringify({ id: "other", expires: Date.now() + 4000 })
+  );
+  document.fire("visibilitychange");
+
+  const { snapshot } = await nextMessage("handover");
+  assert.equal(snapshot.status, "running");
+  assert.ok(snapshot.endsAt > Date.now());
+});
+
+test("a leader without a session of its own continues a handed one", async () => {
+  const { from, snapshot } = await nextMessage("handover");
+  // Make the app's tab lead again, with nothing running.
+  otherTab.postMessage({
+    type: "resign",
+    successor: from,
+    snapshot: null,
+    from: "other",
+  });
+  await waitForStatus("ready");
+
+  otherTab.postMessage({ type: "handover", snapshot, from: "other" });
+  await waitForStatus("running");
+  assert.equal(timer.getTimerState().segmentIndex, snapshot.segmentIndex);
+});
@@ -0,0 +1,426 @@
+// timer.test.js
+// The timer state machine driven through whole plans on a fake clock.
+
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adjustPhaseTime,
+  applyPlanSettings,
+  getTimerState,
+  logInterruption,
+  mirrorTimerState,
+  onTimerEvent,
+  performPrimaryAction,
+  previousPhase,
+  resetTimer,
+  restartPhase,
+  setCommandRelay,
+  setTimerEnvironment,
+  skipPhase,
+} from "../src/js/timer.js";
+import { updatePlanSettings, updatePreferences } from "../src/js/state.js";
+import { createFakeClock } from "./helpers/fake-clock.js";
+import { createFakeAudio } from "./helpers/fake-audio.js";
+
+const MINUTE = 60 * 1000;
+
+let clock;
+let sounds;
+let updates;
+let phases;
+let transitions;
+
+onTimerEvent("timer:update", (event) => updates.push(event.detail));
+onTimerEvent("timer:phase", (event) => phases.push(event.detail));
+onTimerEvent("timer:transition", (event) => transitions.push(event.detail));
+
+function usePlan(plan, preferences = {}) {
+  updatePlanSettings({
+    longBreakMinutes: 15,
+    longBreakInterval: 0,
+    segments: null,
+    ...plan,
+  });
+  updatePreferences({ autoCycle: true, alerts: {}, ...preferences });
+  applyPlanSettings();
+  clearRecords();
+}
+
+function clearRecords() {
+  updates = [];
+  phases = [];
+  transitions = [];
+  sounds.clear();
+}
+
+function messages() {
+  return updates.map((update) => update.message).filter(Boolean);
+}
+
+beforeEach(() => {
+  setCommandRelay(null);
+  clock = createFakeClock();
+  sounds = createFakeAudio();
+  setTimerEnvironment({ clock, audio: sounds.audio });
+  updates = [];
+  phases = [];
+  transitions = [];
+  resetTimer();
+  usePlan({ focusMinutes: 2, relaxMinutes: 1, cycles: 2 });
+});
+
+describe("running a plan", () => {
+  test("walks every segment and reports each second", () => {
+    performPrimaryAction();
+    clock.advance(6 * MINUTE);
+
+    assert.deepEqual(messages(), [
+      "Timer started",
+      "Relax started",
+      "Next focus started — 1 cycles left.",
+      "Relax started",
+      "Plan finished. Good job!",
+    ]);
+    // One update to start, then one per second: the last second of each
+    // phase is the update that starts the next one.
+    assert.equal(updates.length, 1 + 6 * 60);
+    updates.slice(1).forEach((update, index) => {
+      const previous = updates[index];
+      if (update.message) return;
+      assert.equal(update.segmentIndex, previous.segmentIndex);
+      assert.equal(update.remainingSeconds, previous.remainingSeconds - 1);
+    });
+    assert.equal(getTimerState().status, "ready");
+    assert.equal(clock.pendingIntervals, 0);
+  });
+
+  test("logs each phase as completed at its exact boundary", () => {
+    const startedAt = clock.now();
+    performPrimaryAction();
+    clock.advance(6 * MINUTE);
+
+    assert.deepEqual(
+      phases.map(({ phase, outcome, startedAt: at, actualSeconds }) => [
+        phase,
+        outcome,
+        at - startedAt,
+        actualSeconds,
+      ]),
+      [
+        ["focus", "completed", 0, 120],
+        ["relax", "completed", 2 * MINUTE, 60],
+        ["focus", "completed", 3 * MINUTE, 120],
+        ["relax", "completed", 5 * MINUTE, 60],
+      ]
+    );
+    assert.deepEqual(
+      transitions.map((item) => item.transition),
+      ["next", "next", "next", "finished"]
+    );
+  });
+
+  test("waits before each new cycle without auto cycle", () => {
+    usePlan(
+      { focusMinutes: 2, relaxMinutes: 1, cycles: 2 },
+      { autoCycle: false }
+    );
+    performPrimaryAction();
+    clock.advance(3 * MINUTE);
+
+    const state = getTimerState();
+    assert.equal(state.status, "waiting");
+    assert.equal(state.primaryLabel, "Continue");
+    assert.equal(
+      messages().at(-1),
+      "Cycle finished — 1 cycles left. Press Continue to start the next cycle."
+    );
+    assert.deepEqual(sounds.played().at(-1), [
+      "playModeSwitchSound",
+      "waiting",
+    ]);
+
+    const count = updates.length;
+    clock.advance(10 * MINUTE);
+    assert.equal(updates.length, count);
+
+    performPrimaryAction();
+    assert.equal(messages().at(-1), "Next focus started — 1 cycles left.");
+    assert.equal(getTimerState().remainingSeconds, 120);
+  });
+
+  test("puts a long break after every Nth cycle", () => {
+    usePlan({
+      focusMinutes: 1,
+      relaxMinutes: 1,
+      cycles: 2,
+      longBreakMinutes: 3,
+      longBreakInterval: 2,
+    });
+    performPrimaryAction();
+    clock.advance(6 * MINUTE);
+
+    assert.deepEqual(
+      phases.map((item) => [item.phase, item.actualSeconds]),
+      [
+        ["focus", 60],
+        ["relax", 60],
+        ["focus", 60],
+        ["longRelax", 180],
+      ]
+    );
+  });
+});
+
+describe("pausing", () => {
+  test("holds the remaining time and counts the pause", () => {
+    performPrimaryAction();
+    clock.advance(30 * 1000);
+    performPrimaryAction();
+    assert.equal(getTimerState().status, "paused");
+    assert.equal(getTimerState().remainingSeconds, 90);
+
+    clock.advance(10 * MINUTE);
+    assert.equal(getTimerState().remainingSeconds, 90);
+
+    performPrimaryAction();
+    assert.equal(getTimerState().endsAt, clock.now() + 90 * 1000);
+    clock.advance(90 * 1000);
+
+    const [focus] = phases;
+    assert.equal(focus.actualSeconds, 120);
+    assert.equal(focus.pausedSeconds, 600);
+    assert.deepEqual(
+      focus.interruptions.map(({ source, pausedSeconds }) => [
+        source,
+        pausedSeconds,
+      ]),
+      [["pause", 600]]
+    );
+    assert.deepEqual(messages().slice(0, 3), [
+      "Timer started",
+      "Timer paused",
+      "Timer resumed",
+    ]);
+  });
+
+  test("gives the pause its reason instead of a second entry", () => {
+    performPrimaryAction();
+    clock.advance(MINUTE);
+    logInterruption({ kind: "external", note: "door" });
+    performPrimaryAction();
+    logInterruption({ kind: "internal", note: " email " });
+    clock.advance(MINUTE);
+    performPrimaryAction();
+    clock.advance(MINUTE);
+
+    assert.deepEqual(
+      phases[0].interruptions.map(({ source, kind, note }) => [
+        source,
+        kind,
+        note,
+      ]),
+      [
+        ["manual", "external", "door"],
+        ["pause", "internal", "email"],
+      ]
+    );
+  });
+});
+
+describe("catching up", () => {
+  test("settles every phase that ended while the clock jumped", () => {
+    performPrimaryAction();
+    clock.jump(4 * MINUTE + 30 * 1000);
+    clock.advance(250);
+
+    const state = getTimerState();
+    assert.equal(state.segmentIndex, 2);
+    assert.equal(state.remainingSeconds, 30);
+    assert.deepEqual(
+      phases.map((item) => item.endedAt - phases[0].startedAt),
+      [2 * MINUTE, 3 * MINUTE]
+    );
+    assert.deepEqual(messages().slice(1), [
+      "Relax started",
+      "Next focus started — 1 cycles left.",
+    ]);
+  });
+
+  test("plays no sounds for phases that are already over", () => {
+    performPrimaryAction();
+    sounds.clear();
+    clock.jump(3 * MINUTE + 10 * 1000);
+    clock.advance(250);
+
+    const starts = sounds
+      .played()
+      .filter(([name]) => name === "playSessionStartSound");
+    // The break that ended unseen stays quiet; the focus now running plays.
+    assert.deepEqual(starts, [["playSessionStartSound", "focus"]]);
+  });
+});
+
+describe("sounds", () => {
+  test("plays the cues for a live start, pause and finish", () => {
+    performPrimaryAction();
+    assert.deepEqual(sounds.played(), [
+      ["playModeSwitchSound", "focus"],
+      ["playSessionStartSound", "focus"],
+      ["startMetronome"],
+      ["startAmbient", "focus"],
+    ]);
+
+    sounds.clear();
+    performPrimaryAction();
+    assert.deepEqual(sounds.played(), [
+      ["playModeSwitchSound", "paused"],
+      ["playPauseSound"],
+    ]);
+    assert.ok(sounds.calls.some(([name]) => name === "stopMetronome"));
+
+    performPrimaryAction();
+    sounds.clear();
+    clock.advance(6 * MINUTE);
+    assert.deepEqual(sounds.played().at(-1), ["playModeSwitchSound", "ready"]);
+  });
+});
+
+describe("totalRemainingSeconds", () => {
+  test("is the whole plan before it starts", () => {
+    usePlan({
+      focusMinutes: 2,
+      relaxMinutes: 1,
+      cycles: 4,
+      longBreakMinutes: 3,
+      longBreakInterval: 2,
+    });
+    assert.equal(
+      getTimerState().totalRemainingSeconds,
+      (8 + 1 + 3 + 1 + 3) * 60
+    );
+  });
+
+  test("counts down with the clock and follows every change", () => {
+    performPrimaryAction();
+    clock.advance(30 * 1000);
+    assert.equal(getTimerState().totalRemainingSeconds, 6 * 60 - 30);
+
+    adjustPhaseTime(5);
+    assert.equal(getTimerState().totalRemainingSeconds, 11 * 60 - 30);
+
+    skipPhase();
+    assert.equal(getTimerState().totalRemainingSeconds, 4 * 60);
+
+    clock.advance(MINUTE + 1000);
+    assert.equal(getTimerState().totalRemainingSeconds, 3 * 60 - 1);
+  });
+
+  test("stays put while paused", () => {
+    performPrimaryAction();
+    clock.advance(MINUTE);
+    performPrimaryAction();
+    clock.advance(5 * MINUTE);
+    assert.equal(getTimerState().totalRemainingSeconds, 5 * 60);
+  });
+});
+
+describe("phase navigation", () => {
+  test("skips, restarts and goes back", () => {
+    performPrimaryAction();
+    clock.advance(20 * 1000);
+
+    skipPhase();
+    assert.equal(getTimerState().phase, "relax");
+    restartPhase();
+    assert.equal(getTimerState().remainingSeconds, 60);
+    previousPhase();
+    assert.equal(getTimerState().segmentIndex, 0);
+
+    assert.deepEqual(messages().slice(1), [
+      "Focus skipped — Relax started.",
+      "Relax restarted",
+      "Back to Focus",
+    ]);
+    assert.deepEqual(
+      phases.map((item) => [item.phase, item.outcome]),
+      [
+        ["focus", "skipped"],
+        ["relax", "reset"],
+        ["relax", "reset"],
+      ]
+    );
+  });
+
+  test("finishes the plan when the last phase is skipped", () => {
+    performPrimaryAction();
+    skipPhase();
+    skipPhase();
+    skipPhase();
+    skipPhase();
+    assert.equal(messages().at(-1), "Relax skipped. Plan finished.");
+    assert.equal(getTimerState().status, "ready");
+  });
+
+  test("adjusts the phase but always leaves a second", () => {
+    performPrimaryAction();
+    adjustPhaseTime(5);
+    assert.equal(getTimerState().remainingSeconds, 7 * 60);
+    assert.equal(messages().at(-1), "+5 min added to Focus");
+
+    adjustPhaseTime(-60);
+    assert.equal(getTimerState().remainingSeconds, 1);
+    clock.advance(1000);
+    assert.equal(getTimerState().phase, "relax");
+  });
+
+  test("ignores navigation before the plan starts", () => {
+    skipPhase();
+    adjustPhaseTime(5);
+    assert.equal(updates.length, 0);
+  });
+});
+
+describe("following another timer", () => {
+  test("hands commands to the relay and mirrors its clock", () => {
+    const relayed = [];
+    setCommandRelay((command, args) => {
+      relayed.push([command, ...args]);
+      return true;
+    });
+    performPrimaryAction();
+    adjustPhaseTime(1);
+    assert.deepEqual(relayed, [
+      ["performPrimaryAction"],
+      ["adjustPhaseTime", 1],
+    ]);
+
+    mirrorTimerState({
+      ...getTimerState(),
+      status: "running",
+      endsAt: clock.now() + 10 * 1000,
+      remainingSeconds: 10,
+      totalRemainingSeconds: 100,
+      message: "Timer started",
+    });
+    clock.advance(3000);
+
+    assert.deepEqual(
+      updates.map((item) => [
+        item.remainingSeconds,
+        item.totalRemainingSeconds,
+      ]),
+      [
+        [10, 100],
+        [9, 99],
+        [8, 98],
+        [7, 97],
+      ]
+    );
+    assert.equal(phases.length, 0);
+  });
+
+  test("logs nothing locally when the relay refuses", () => {
+    setCommandRelay(() => false);
+    assert.equal(logInterruption({ kind: "internal" }), null);
+  });
+});
@@ -0,0 +1,143 @@
+// ui.test.js
+// Display formatters, and the page following the timer, in jsdom.
+
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { installDom } from "./helpers/dom.js";
+import { createFakeClock } from "./helpers/fake-clock.js";
+import { createFakeAudio } from "./helpers/fake-audio.js";
+
+let ui;
+let timer;
+let state;
+
+before(async () => {
+  installDom();
+  ui = await import("../src/js/ui.js");
+  timer = await import("../src/js/timer.js");
+  state = await import("../src/js/state.js");
+});
+
+describe("formatTime", () => {
+  for (const [seconds, text] of [
+    [0, "00:00"],
+    [59, "00:59"],
+    [61, "01:01"],
+    [25 * 60, "25:00"],
+    [62 * 60 + 5, "62:05"],
+  ]) {
+    test(`${seconds}s is ${text}`, () => {
+      assert.equal(ui.formatTime(seconds), text);
+    });
+  }
+});
+
+describe("formatDurationFromSeconds", () => {
+  for (const [seconds, text] of [
+    [0, "0 min"],
+    [89, "1 min"],
+    [59 * 60, "59 min"],
+    [60 * 60, "1h"],
+    [90 * 60, "1h 30m"],
+  ]) {
+    test(`${seconds}s is ${text}`, () => {
+      assert.equal(ui.formatDurationFromSeconds(seconds), text);
+    });
+  }
+});
+
+describe("describeTabTitle", () => {
+  test("counts the cycle in progress", () => {
+    const title = ui.describeTabTitle({
+      remainingSeconds: 754,
+      statusLabel: "Focus",
+      totalCycles: 4,
+      cyclesLeft: 3,
+    });
+    assert.equal(title, "12:34 · Focus · 2/4");
+  });
+
+  test("leaves the cycle out of plans without focus", () => {
+    const title = ui.describeTabTitle({
+      remainingSeconds: 300,
+      statusLabel: "Break",
+      totalCycles: 0,
+      cyclesLeft: 0,
+    });
+    assert.equal(title, "05:00 · Break");
+  });
+});
+
+describe("describePlan", () => {
+  const classic = {
+    focusMinutes: 25,
+    relaxMinutes: 5,
+    cycles: 4,
+    longBreakMinutes: 15,
+    longBreakInterval: 0,
+    segments: null,
+  };
+
+  test("describes repeated cycles", () => {
+    assert.equal(ui.describePlan(classic), "25 / 5 × 4 ≈ 2h");
+  });
+
+  test("mentions long breaks", () => {
+    assert.equal(
+      ui.describePlan({ ...classic, longBreakInterval: 4 }),
+      "25 / 5 × 4 + 15 long every 4 ≈ 2h 10m"
+    );
+  });
+
+  test("lists custom segments", () => {
+    assert.equal(
+      ui.describePlan({
+        ...classic,
+        segments: [
+          { type: "focus", minutes: 50 },
+          { type: "relax", minutes: 10 },
+        ],
+      }),
+      "50 / 10 ≈ 1h"
+    );
+  });
+});
+
+describe("page", () => {
+  test("follows the timer through a phase change", () => {
+    const clock = createFakeClock();
+    timer.setTimerEnvironment({ clock, audio: createFakeAudio().audio });
+    state.updatePreferences({ liveFavicon: false });
+    ui.initUI();
+
+    const time = document.getElementById("time-output");
+    const primary = document.getElementById("primary-action");
+    assert.equal(time.textContent, "01:00");
+    assert.equal(primary.textContent, "Start");
+
+    primary.click();
+    assert.equal(primary.textContent, "Pause");
+    assert.equal(document.getElementById("toast").textContent, "Timer started");
+
+    clock.advance(1000);
+    assert.equal(time.textContent, "00:59");
+    assert.equal(document.title, "00:59 · Focus · 1/4");
+    assert.equal(document.body.dataset.tone, "focus");
+
+    clock.advance(59 * 1000);
+    assert.equal(time.textContent, "01:00");
+    assert.equal(document.getElementById("status-label").textContent, "Relax");
+    assert.equal(document.body.dataset.tone, "relax");
+    assert.equal(
+      document.getElementById("cycles-left").textContent,
+      "Cycles left: 4"
+    );
+
+    document.getElementById("reset-action").click();
+    assert.equal(primary.textContent, "Start");
+    assert.equal(
+      document.getElementById("total-remaining").textContent,
+      "Total remaining: 22 min"
+    );
+  });
+});